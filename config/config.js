@@ -0,0 +1,198 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Settings every profile starts from
+const COMMON = {
+  host: '0.0.0.0',
+  maxPlayers: 20, // Largest lobby a host can create
+  // ffmpeg receives each recorded voice as RTP on a pair of these local ports
+  recording: { dir: 'recordings', ffmpegPath: 'ffmpeg', listenIp: '127.0.0.1', minPort: 20000, maxPort: 20999 },
+};
+
+// Network settings per deployment profile. A JSON file named by CONFIG_FILE is layered on top of the profile,
+// and the environment variables in ENV_OVERRIDES on top of that
+const PROFILES = {
+  local: {
+    port: 5000,
+    clientUrl: 'http://localhost:3000',
+    corsOrigins: ['http://localhost:3000'],
+    mediasoup: { listenIp: '127.0.0.1', announcedIp: null, rtcMinPort: 10000, rtcMaxPort: 10100, workers: null },
+    ice: { stunUrls: [], turnUrls: [], turnSecret: null, turnTtlSeconds: 3600 },
+    requireTurn: false,
+  },
+  staging: {
+    port: 5000,
+    clientUrl: null,
+    corsOrigins: [],
+    mediasoup: { listenIp: '0.0.0.0', announcedIp: null, rtcMinPort: 10000, rtcMaxPort: 10100, workers: null },
+    ice: { stunUrls: [], turnUrls: [], turnSecret: null, turnTtlSeconds: 3600 },
+    requireTurn: true,
+  },
+  prod: {
+    port: 5000,
+    clientUrl: 'https://mafia-v01-client.vercel.app',
+    corsOrigins: ['https://mafia-v01-client.vercel.app'],
+    mediasoup: { listenIp: '0.0.0.0', announcedIp: 'mafia-v01-server.onrender.com', rtcMinPort: 10000, rtcMaxPort: 10100, workers: null },
+    ice: { stunUrls: [], turnUrls: [], turnSecret: null, turnTtlSeconds: 3600 },
+    requireTurn: true,
+  },
+};
+
+const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// Environment variable -> [config path, parser]
+const ENV_OVERRIDES = {
+  HOST: ['host', String],
+  PORT: ['port', Number],
+  CLIENT_URL: ['clientUrl', String],
+  CORS_ORIGINS: ['corsOrigins', list],
+  MEDIASOUP_LISTEN_IP: ['mediasoup.listenIp', String],
+  MEDIASOUP_ANNOUNCED_IP: ['mediasoup.announcedIp', String],
+  RTC_MIN_PORT: ['mediasoup.rtcMinPort', Number],
+  RTC_MAX_PORT: ['mediasoup.rtcMaxPort', Number],
+  MEDIASOUP_WORKERS: ['mediasoup.workers', Number],
+  STUN_URLS: ['ice.stunUrls', list],
+  TURN_URLS: ['ice.turnUrls', list],
+  TURN_SECRET: ['ice.turnSecret', String],
+  TURN_TTL_SECONDS: ['ice.turnTtlSeconds', Number],
+  RECORDINGS_DIR: ['recording.dir', String],
+  FFMPEG_PATH: ['recording.ffmpegPath', String],
+  RECORDING_LISTEN_IP: ['recording.listenIp', String],
+  RECORDING_MIN_PORT: ['recording.minPort', Number],
+  RECORDING_MAX_PORT: ['recording.maxPort', Number],
+};
+
+const setPath = (target, keyPath, value) => {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  keys.reduce((node, key) => node[key], target)[last] = value;
+};
+
+// Deep merge of plain objects; arrays and scalars replace
+const merge = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject ? merge(base[key] || {}, value) : value;
+  });
+  return merged;
+};
+
+const isPort = (value) => Number.isInteger(value) && value > 0 && value < 65536;
+
+// Ports each mediasoup worker needs: a send and a receive transport for every seat of a full lobby
+const portsPerWorker = (config) => config.maxPlayers * 2;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Every problem with the resolved config, so one failed start reports them all
+const validate = (config) => {
+  const errors = [];
+  const { mediasoup, ice, recording } = config;
+  if (!net.isIP(config.host)) errors.push('host (HOST) must be an IP address');
+  if (!isPort(config.port)) errors.push('port must be a TCP port number');
+  if (!isHttpUrl(config.clientUrl)) errors.push('clientUrl (CLIENT_URL) must be an http(s) URL');
+  if (!Array.isArray(config.corsOrigins) || config.corsOrigins.length === 0) {
+    errors.push('corsOrigins (CORS_ORIGINS) needs at least one origin');
+  } else if (!config.corsOrigins.every(isHttpUrl)) {
+    errors.push('corsOrigins (CORS_ORIGINS) must all be http(s) origins');
+  }
+
+  if (!net.isIP(mediasoup.listenIp)) errors.push('mediasoup.listenIp (MEDIASOUP_LISTEN_IP) must be an IP address');
+  // Clients cannot reach a wildcard address, so it has to be announced as something else
+  if (['0.0.0.0', '::'].includes(mediasoup.listenIp) && !mediasoup.announcedIp) {
+    errors.push('mediasoup.announcedIp (MEDIASOUP_ANNOUNCED_IP) is required when listening on every interface');
+  }
+  if (!Number.isInteger(config.maxPlayers) || config.maxPlayers < 10) {
+    errors.push('maxPlayers must be a whole number of at least 10');
+  }
+  if (!isPort(mediasoup.rtcMinPort) || !isPort(mediasoup.rtcMaxPort) || mediasoup.rtcMinPort > mediasoup.rtcMaxPort) {
+    errors.push('mediasoup.rtcMinPort/rtcMaxPort (RTC_MIN_PORT/RTC_MAX_PORT) must be a port range');
+  } else if (mediasoup.workers !== null && !(Number.isInteger(mediasoup.workers) && mediasoup.workers > 0)) {
+    errors.push('mediasoup.workers (MEDIASOUP_WORKERS) must be a positive whole number');
+  } else if (Number.isInteger(config.maxPlayers)) {
+    // Each worker gets an equal slice of the range, which has to fit a full lobby
+    const needed = portsPerWorker(config) * (mediasoup.workers || 1);
+    const available = mediasoup.rtcMaxPort - mediasoup.rtcMinPort + 1;
+    if (available < needed) {
+      errors.push(
+        `mediasoup.rtcMinPort/rtcMaxPort (RTC_MIN_PORT/RTC_MAX_PORT) has ${available} ports but ${mediasoup.workers || 1} ` +
+          `worker(s) need ${needed}: ${portsPerWorker(config)} each for a lobby of ${config.maxPlayers}`
+      );
+    }
+  }
+
+  if (!ice.stunUrls.every((url) => /^stuns?:/.test(url))) errors.push('ice.stunUrls (STUN_URLS) must be stun: URLs');
+  if (!ice.turnUrls.every((url) => /^turns?:/.test(url))) errors.push('ice.turnUrls (TURN_URLS) must be turn: URLs');
+  if (config.requireTurn && ice.turnUrls.length === 0) {
+    errors.push(`ice.turnUrls (TURN_URLS) is required in the ${config.profile} profile`);
+  }
+  if (ice.turnUrls.length > 0 && !(typeof ice.turnSecret === 'string' && ice.turnSecret.length >= 16)) {
+    errors.push('ice.turnSecret (TURN_SECRET) must be at least 16 characters when TURN is used');
+  }
+  if (!Number.isInteger(ice.turnTtlSeconds) || ice.turnTtlSeconds <= 0) {
+    errors.push('ice.turnTtlSeconds (TURN_TTL_SECONDS) must be a positive whole number');
+  }
+
+  if (!net.isIPv4(recording.listenIp)) errors.push('recording.listenIp (RECORDING_LISTEN_IP) must be an IPv4 address');
+  // Ports go out in RTP/RTCP pairs
+  if (!isPort(recording.minPort) || !isPort(recording.maxPort) || recording.maxPort - recording.minPort < 1) {
+    errors.push('recording.minPort/maxPort (RECORDING_MIN_PORT/RECORDING_MAX_PORT) must be a range of at least two ports');
+  } else if (recording.minPort <= mediasoup.rtcMaxPort && recording.maxPort >= mediasoup.rtcMinPort) {
+    errors.push('recording.minPort/maxPort must not overlap the mediasoup RTC port range');
+  }
+  return errors;
+};
+
+// NODE_ENV values that imply a profile when APP_ENV is unset; anything else has to name one, so a deployment
+// missing its variables fails instead of starting with local settings
+const DEFAULT_PROFILES = { development: 'local', production: 'prod' };
+
+// Resolve and validate the config for APP_ENV; throws with every problem listed when it is invalid
+const loadConfig = (env = process.env) => {
+  const profile = env.APP_ENV || DEFAULT_PROFILES[env.NODE_ENV];
+  if (!PROFILES[profile]) {
+    const names = Object.keys(PROFILES).join(', ');
+    throw new Error(`Invalid configuration: APP_ENV must be one of ${names} (or set NODE_ENV=development/production)`);
+  }
+
+  let config = { ...structuredClone(merge(COMMON, PROFILES[profile])), profile };
+  if (env.CONFIG_FILE) {
+    const file = path.resolve(env.CONFIG_FILE);
+    try {
+      config = merge(config, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+      throw new Error(`Invalid configuration: cannot read CONFIG_FILE ${file}: ${err.message}`);
+    }
+  }
+  Object.entries(ENV_OVERRIDES).forEach(([name, [keyPath, parse]]) => {
+    if (env[name] !== undefined && env[name] !== '') setPath(config, keyPath, parse(env[name]));
+  });
+
+  const errors = validate(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (${profile} profile):\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+  // One worker per CPU by default, but no more than the port range has full slices for
+  if (config.mediasoup.workers === null) {
+    const slices = Math.floor((config.mediasoup.rtcMaxPort - config.mediasoup.rtcMinPort + 1) / portsPerWorker(config));
+    config.mediasoup.workers = Math.min(os.cpus().length, slices);
+  }
+  return config;
+};
+
+const config = loadConfig();
+console.log(`Using the ${config.profile} configuration profile`);
+
+module.exports = config;
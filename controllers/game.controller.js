@@ -1,94 +1,367 @@
+const path = require("path");
 const Game = require("../models/game.model");
 const { v4: uuidv4 } = require("uuid");
 const { io } = require("../server");
+const { clientUrl } = require("../config/config");
+const ChatMessage = require("../models/chatMessage.model");
+const Recording = require("../models/recording.model");
+const { buildGameView, buildLobbySummary, emitGameUpdate } = require("../utils/gameView");
+const { issuePlayerToken, issueSpectatorToken, verifyPlayerToken } = require("../utils/playerToken");
+const { schedulePhaseTimer, clearPhaseTimer } = require("../utils/phaseTimers");
+const { scheduleReconnectTimer, clearReconnectTimer } = require("../utils/reconnectTimers");
+const { evaluateGameOver } = require("../utils/winConditions");
+const {
+  NIGHT_PHASES, getRole, isMafia, nightPhasesInPlay, actorsForPhase, mafiaLeader,
+} = require("../utils/roles");
+const { validateRoleSetup, buildRoleList } = require("../utils/roleSetup");
+const { NO_LYNCH_VOTE, tallyVotes, topCandidates, pickRandom } = require("../utils/voting");
+const { runExclusive } = require("../utils/gameQueue");
+const { recordEvent, replayEvents } = require("../utils/eventLog");
+const { postSystemMessage } = require("../utils/chat");
+const { summarizeNights, buildNotebook } = require("../utils/notebook");
+const { checkNightTarget } = require("../utils/nightRules");
+const { recordGameStats } = require("../utils/playerStats");
+const { NODE_ID, ownsGame } = require("../utils/cluster");
+const { syncAudio, summarizeSpeakingTime } = require("../utils/audioRooms");
+
+const SETTINGS_FIELDS = [
+  'preset', 'roleCounts', 'minPlayers', 'doctorSelfSave', 'maxSelfSaves', 'allowRepeatProtect', 'mafiaCanTargetTeammates',
+  'revealVotes', 'tieBreak', 'mafiaTieBreak', 'isPrivate',
+  'spectatorsSeeRoles', 'reconnectGraceSeconds', 'disconnectOutcome', 'speakingTurns', 'speakingTurnSeconds',
+  'recordDays',
+];
+
+// Host actions that moderate a running game; every other host action is for the lobby only
+const IN_GAME_HOST_ACTIONS = ['mute', 'unmute'];
+
+// Pending start countdowns, at most one per game
+const startCountdowns = new Map();
+
+const LOBBY_PAGE_SIZE = 20;
 
 // Create game
 exports.createGame = async (req, res) => {
-  const { maxPlayers } = req.body;
+  const { name, maxPlayers, phaseDurations, settings, accountToken } = req.body;
+  if (!name) return res.status(400).json({ msg: 'Name is required' });
+  const { accountId, error: accountError } = readAccountToken(accountToken);
+  if (accountError) return res.status(401).json({ msg: accountError });
+
   try {
-    const gameId = uuidv4(); // Consistent with your approach
-    const game = new Game({
-      gameId,
-      maxPlayers: maxPlayers || 10,
-      state: 'waiting', // Explicitly set for clarity
-      currentPhase: 'waiting',
-      players: [], // Explicitly empty
+    const { game, host, error } = createLobby({ name, maxPlayers, phaseDurations, settings, accountId });
+    if (error) return res.status(400).json({ msg: error });
+    await game.save();
+    announceLobby(game);
+    res.json({
+      gameId: game.gameId,
+      url: `${clientUrl}/${game.gameId}`,
+      playerId: host._id.toString(),
+      token: issuePlayerToken(game.gameId, host._id),
+      inviteCode: game.settings.isPrivate ? game.inviteCode : undefined,
     });
+  } catch (err) {
+    console.error('CreateGame error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Lobby browser: public games in one state, newest activity first
+exports.listGames = async (req, res) => {
+  const state = req.query.state || 'waiting';
+  if (!Game.schema.path('state').enumValues.includes(state)) return res.status(400).json({ msg: 'Unknown game state' });
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOBBY_PAGE_SIZE, 1), 50);
+
+  try {
+    const query = { state, 'settings.isPrivate': { $ne: true } };
+    const [games, total] = await Promise.all([
+      Game.find(query).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Game.countDocuments(query),
+    ]);
+    res.json({ games: games.map(buildLobbySummary), page, limit, total });
+  } catch (err) {
+    console.error('ListGames error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Seat the player in the fullest open public lobby, or open a new one for them
+exports.quickJoin = async (req, res) => {
+  const { name, accountToken } = req.body;
+  if (!name) return res.status(400).json({ msg: 'Name is required' });
+  const { accountId, error: accountError } = readAccountToken(accountToken);
+  if (accountError) return res.status(401).json({ msg: accountError });
 
+  try {
+    const open = await Game.find({
+      state: 'waiting',
+      isLocked: false,
+      'settings.isPrivate': { $ne: true },
+      $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] },
+    });
+    open.sort((a, b) => b.players.length - a.players.length);
+
+    // Each candidate is re-checked inside its own queue since it may have filled up meanwhile
+    for (const { gameId } of open) {
+      const joined = await runExclusive(gameId, async () => {
+        const game = await Game.findOne({ gameId });
+        if (!game || joinError(game, name, undefined, accountId)) return null;
+        return { game, player: await seatPlayer(game, name, accountId) };
+      });
+      if (joined) {
+        const { game, player } = joined;
+        return res.json({
+          gameId,
+          playerId: player._id.toString(),
+          token: issuePlayerToken(gameId, player._id),
+          game: buildGameView(game, player),
+          created: false,
+        });
+      }
+    }
+
+    const { game, host } = createLobby({ name, accountId });
     await game.save();
-    const gameData = game.toJSON(); // Serialize to ensure Maps are objects
-    // console.log('Game created:', gameData);
-    io.emit('gameCreated', gameData); // Broadcast to all clients, not just gameId room
-    res.json({ gameId, url: `https://mafia-v01-client.vercel.app/${gameId}` });
+    announceLobby(game);
+    res.json({
+      gameId: game.gameId,
+      playerId: host._id.toString(),
+      token: issuePlayerToken(game.gameId, host._id),
+      game: buildGameView(game, host),
+      created: true,
+    });
   } catch (err) {
-    console.error('CreateGame error:', err.message);
+    console.error('QuickJoin error:', err.message);
     res.status(500).json({ msg: 'Server error' });
   }
 };
 
 // Join game
 exports.joinGame = async (req, res) => {
-  const { name } = req.body;
+  const { name, inviteCode, accountToken } = req.body;
   if (!name) return res.status(400).json({ msg: 'Name is required' });
+  const { accountId, error: accountError } = readAccountToken(accountToken);
+  if (accountError) return res.status(401).json({ msg: accountError });
 
   try {
     const game = await Game.findOne({ gameId: req.params.id });
     if (!game) return res.status(404).json({ msg: 'Game not found' });
-    if (game.state !== 'waiting') return res.status(400).json({ msg: 'Game already started wait for new match' });
-    if (game.players.some((p) => p.name === name)) return res.status(400).json({ msg: 'Name already taken' });
-    if (game.players.length >= game.maxPlayers) return res.status(400).json({ msg: 'Room is full' });
+    const error = joinError(game, name, inviteCode, accountId);
+    if (error) return res.status(error.status).json({ msg: error.msg });
 
-    game.players.push({ name, socketId: req.socket?.id });
-    await game.save();
-    io.to(game.gameId).emit('playerJoined', { name });
-    io.to(game.gameId).emit('gameUpdated', game);
-    res.json(game);
+    const player = await seatPlayer(game, name, accountId);
+    res.json({
+      playerId: player._id.toString(),
+      token: issuePlayerToken(game.gameId, player._id),
+      game: buildGameView(game, player),
+    });
   } catch (err) {
     console.error('JoinGame error:', err.message);
     res.status(500).send('Server error');
   }
 };
 
+// Watch a game without taking a seat; allowed in any state and ignores the lobby lock.
+// Once roles are dealt the invite code is needed even for public games, so the game ID alone is not enough
+exports.spectateGame = async (req, res) => {
+  const { name, inviteCode } = req.body;
+  if (!name) return res.status(400).json({ msg: 'Name is required' });
+
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+    if (!hasInvite(game, inviteCode)) return res.status(403).json({ msg: 'This game is private; an invite code is required' });
+    if (game.state === 'inProgress' && inviteCode !== game.inviteCode) {
+      return res.status(403).json({ msg: 'This game is running; an invite code is required to watch it' });
+    }
+    if (isNameTaken(game, name)) return res.status(400).json({ msg: 'Name already taken' });
+
+    game.spectators.push({ name });
+    const spectator = game.spectators[game.spectators.length - 1];
+    await game.save();
+    io.to(game.gameId).emit('spectatorJoined', { name });
+    res.json({
+      spectatorId: spectator._id.toString(),
+      token: issueSpectatorToken(game.gameId, spectator._id),
+      game: buildGameView(game, spectator, { spectator: true }),
+    });
+  } catch (err) {
+    console.error('SpectateGame error:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
 // Fetch game data
 exports.fetchGameData = async (req, res) => {
   try {
     const game = await Game.findOne({ gameId: req.params.id });
     if (!game) return res.status(404).json({ msg: 'Game not found' });
-    res.json(game);
+    if (req.spectatorId) {
+      return res.json(buildGameView(game, game.spectators.id(req.spectatorId), { spectator: true }));
+    }
+    const viewer = req.playerId ? game.players.id(req.playerId) : null;
+    res.json(buildGameView(game, viewer));
   } catch (err) {
     console.error('FetchGameData error:', err.message);
     res.status(500).send('Server error');
   }
 };
 
+// Update lobby settings (host only, before the game starts)
+exports.updateSettings = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+    if (game.state !== 'waiting') return res.status(400).json({ msg: 'Settings can only be changed before the game starts' });
+
+    const player = game.players.id(req.playerId);
+    if (!player) return res.status(400).json({ msg: 'Player not found' });
+    if (!isHost(game, player)) return res.status(403).json({ msg: 'Only the host can change settings' });
+
+    const { token, ...updates } = req.body; // The token may come in the body; it is not a setting and must not be logged
+    const settingsError = applySettings(game, updates);
+    if (settingsError) return res.status(400).json({ msg: settingsError });
+    recordEvent(game, 'settingsUpdated', { actor: player.name, data: updates });
+    await game.save();
+
+    io.to(game.gameId).emit('settingsUpdated', game.toJSON().settings);
+    emitGameUpdate(io, game);
+    res.json(buildGameView(game, player));
+  } catch (err) {
+    console.error('UpdateSettings error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// The requesting player's own night results, night by night
+exports.fetchNotebook = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+    const player = game.players.id(req.playerId);
+    if (!player) return res.status(400).json({ msg: 'Player not found' });
+    res.json(buildNotebook(game, player));
+  } catch (err) {
+    console.error('FetchNotebook error:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Full event log, only once the game is over since it reveals every role and night action
+exports.fetchHistory = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+    if (game.state !== 'finished') return res.status(403).json({ msg: 'History is available once the game is finished' });
+
+    res.json({
+      gameId: game.gameId,
+      events: game.events.map((e, index) => ({ index, ...e.toJSON() })),
+      nights: summarizeNights(game.events),
+      days: summarizeSpeakingTime(game),
+    });
+  } catch (err) {
+    console.error('FetchHistory error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Day discussion recordings of the game, one per speaker per day
+exports.fetchRecordings = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    const recordings = await Recording.find({ gameId: game.gameId }).sort({ day: 1, startedAt: 1 });
+    res.json({
+      gameId: game.gameId,
+      recordDays: game.settings.recordDays,
+      recordings: recordings.map((r) => ({
+        _id: r._id,
+        day: r.day,
+        playerId: r.playerId,
+        name: r.playerName,
+        file: path.basename(r.file),
+        startedAt: r.startedAt,
+        endedAt: r.endedAt,
+        bytes: r.bytes,
+      })),
+    });
+  } catch (err) {
+    console.error('FetchRecordings error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// State of a finished game right after the event at ?index= (defaults to the last event)
+exports.replayGame = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+    if (game.state !== 'finished') return res.status(403).json({ msg: 'Replays are available once the game is finished' });
+
+    const index = req.query.index === undefined ? game.events.length - 1 : Number(req.query.index);
+    if (!Number.isInteger(index) || index < 0 || index >= game.events.length) {
+      return res.status(400).json({ msg: `index must be between 0 and ${game.events.length - 1}` });
+    }
+
+    res.json({ gameId: game.gameId, index, event: game.events[index], state: replayEvents(game.events, index) });
+  } catch (err) {
+    console.error('ReplayGame error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Host-only lobby actions
+exports.kickPlayer = (req, res) => respondToHostAction(req, res, 'kick');
+exports.transferHost = (req, res) => respondToHostAction(req, res, 'transferHost');
+exports.setLobbyLock = (req, res) => respondToHostAction(req, res, 'lock');
+exports.forceStart = (req, res) => respondToHostAction(req, res, 'forceStart');
+exports.mutePlayer = (req, res) => respondToHostAction(req, res, 'mute');
+exports.unmutePlayer = (req, res) => respondToHostAction(req, res, 'unmute');
+
+// Shared by the REST routes above and the matching socket events; resolves to { status, msg } or { status, game, player }.
+// Callers run it inside the game's command queue
+exports.performHostAction = async (gameId, playerId, action, payload = {}) => {
+  const game = await Game.findOne({ gameId });
+  if (!game) return { status: 404, msg: 'Game not found' };
+  if (IN_GAME_HOST_ACTIONS.includes(action)) {
+    if (game.state !== 'inProgress') return { status: 400, msg: 'That is only available while the game is running' };
+  } else if (game.state !== 'waiting') {
+    return { status: 400, msg: 'Lobby actions are only available before the game starts' };
+  }
+
+  const host = game.players.id(playerId);
+  if (!host) return { status: 400, msg: 'Player not found' };
+  if (!isHost(game, host)) return { status: 403, msg: 'Only the host can do that' };
+
+  const error = await HOST_ACTIONS[action](game, host, payload);
+  if (error) return { status: 400, msg: error };
+  return { status: 200, game, player: host };
+};
+
 // Set ready status
 exports.setReady = async (req, res) => {
-  const { name } = req.body;
   try {
     const game = await Game.findOne({ gameId: req.params.id });
     if (!game) return res.status(404).json({ msg: 'Game not found' });
     if (game.state !== 'waiting') return res.status(400).json({ msg: 'Game already started' });
 
-    const player = game.players.find((p) => p.name === name);
+    const player = game.players.id(req.playerId);
     if (!player) return res.status(400).json({ msg: 'Player not found' });
+    const { name } = player;
 
     player.isReady = true;
+    recordEvent(game, 'playerReady', { actor: name });
     await game.save();
 
     io.to(game.gameId).emit('playerReady', { name });
-    io.to(game.gameId).emit('gameUpdated', game);
+    emitGameUpdate(io, game);
 
     const allReady = game.players.every((p) => p.isReady);
-    if (game.players.length >= 5 && allReady) {
-      io.to(game.gameId).emit('startCountdown', { countdown: 10 });
-      setTimeout(async () => {
-        const updatedGame = await Game.findOne({ gameId: game.gameId });
-        if (updatedGame.players.length >= 5 && updatedGame.players.every((p) => p.isReady)) {
-          await startGame(updatedGame);
-        }
-      }, 10000); // 10-second countdown
+    if (game.players.length >= game.settings.minPlayers && allReady) {
+      runOnOwner(game, 'startCountdown');
     }
-    res.json(game);
+    res.json(buildGameView(game, player));
   } catch (err) {
     console.error('SetReady error:', err.message);
     res.status(500).send('Server error');
@@ -97,21 +370,23 @@ exports.setReady = async (req, res) => {
 
 // Set unready status
 exports.setUnready = async (req, res) => {
-  const { name } = req.body;
   try {
     const game = await Game.findOne({ gameId: req.params.id });
     if (!game) return res.status(404).json({ msg: 'Game not found' });
     if (game.state !== 'waiting') return res.status(400).json({ msg: 'Game already started' });
 
-    const player = game.players.find((p) => p.name === name);
+    const player = game.players.id(req.playerId);
     if (!player) return res.status(400).json({ msg: 'Player not found' });
+    const { name } = player;
 
     player.isReady = false;
+    recordEvent(game, 'playerUnready', { actor: name });
     await game.save();
+    runOnOwner(game, 'cancelCountdown');
 
     io.to(game.gameId).emit('playerUnready', { name });
-    io.to(game.gameId).emit('gameUpdated', game);
-    res.json(game);
+    emitGameUpdate(io, game);
+    res.json(buildGameView(game, player));
   } catch (err) {
     console.error('SetUnready error:', err.message);
     res.status(500).send('Server error');
@@ -120,201 +395,414 @@ exports.setUnready = async (req, res) => {
 
 // Mafia vote
 exports.mafiaVote = async (req, res) => {
-  const { voterName, targetName } = req.body;
+  const { targetName } = req.body;
+  // No kill has to be asked for with an explicit null, so a missing field is never counted as one
+  if (targetName === undefined) {
+    return res.status(400).json({ msg: 'targetName is required; send null to vote for no kill', code: 'MISSING_TARGET' });
+  }
   try {
     const game = await Game.findOne({ gameId: req.params.id });
     if (!game || game.state !== 'inProgress' || game.currentPhase !== 'nightMafia') {
-      return res.status(400).json({ msg: 'Mafia can only vote during mafia phase' });
+      return res.status(400).json({ msg: 'Mafia can only vote during mafia phase', code: 'WRONG_PHASE' });
     }
 
-    const voter = game.players.find((p) => (p.role === 'Mafia' || p.role === 'Godfather') && p.name === voterName && p.isAlive);
-    if (!voter) return res.status(400).json({ msg: 'Invalid voter' });
-    if (game.mafiaVotes.has(voterName)) return res.status(400).json({ msg: 'You have already voted' });
-    const target = game.players.find((p) => p.name === targetName && p.isAlive);
-    if (!target) return res.status(400).json({ msg: 'Invalid target' });
+    const voter = game.players.id(req.playerId);
+    if (!voter || !voter.isAlive || !isMafia(voter)) {
+      return res.status(400).json({ msg: 'Invalid voter', code: 'INVALID_ACTOR' });
+    }
+    const voterName = voter.name;
+    // A null target votes for no kill; re-voting replaces the earlier vote
+    const target = game.players.find((p) => p.name === targetName);
+    if (targetName != null) {
+      const violation = checkNightTarget(game, voter, getRole(voter.role).nightAction, target);
+      if (violation) return res.status(400).json(violation);
+    }
 
-    game.mafiaVotes.set(voterName, targetName);
+    game.mafiaVotes.set(voterName, target ? target.name : NO_LYNCH_VOTE);
+    recordEvent(game, 'mafiaVote', { actor: voterName, target: game.mafiaVotes.get(voterName) });
     await game.save();
 
     // Notify all mafia members of the vote
-    const mafiaSocketIds = game.players.filter((p) => (p.role === 'Mafia' || p.role === 'Godfather') && p.isAlive).map((p) => p.socketId);
-    mafiaSocketIds.forEach((socketId) => {
-      io.to(socketId).emit('mafiaVoteCast', { voter: voterName, target: targetName });
+    const livingMafia = actorsForPhase(game, 'nightMafia');
+    livingMafia.forEach(({ socketId }) => {
+      io.to(socketId).emit('mafiaVoteCast', { voter: voterName, target: target ? target.name : null });
     });
 
     // Check if all living mafia have voted
-    const livingMafiaCount = game.players.filter((p) => (p.role === 'Mafia' || p.role === 'Godfather') && p.isAlive).length;
-    if (game.mafiaVotes.size === livingMafiaCount) {
-      // Determine mafia target (majority or last vote in tie)
-      const voteCount = {};
-      game.players.forEach((p) => (voteCount[p.name] = 0));
-      game.mafiaVotes.forEach((target) => voteCount[target]++);
-      const maxVotes = Math.max(...Object.values(voteCount));
-      const candidates = Object.entries(voteCount).filter(([name, count]) => count === maxVotes).map(([name]) => name);
-      let mafiaTarget = null;
-      if (candidates.length === 1) {
-        mafiaTarget = candidates[0];
-      } else if (candidates.length > 1) {
-        // Tie: select the last voted player among candidates
-        const voteOrder = Array.from(game.mafiaVotes.values());
-        for (let i = voteOrder.length - 1; i >= 0; i--) {
-          if (candidates.includes(voteOrder[i])) {
-            mafiaTarget = voteOrder[i];
-            break;
-          }
-        }
-      }
-      game.mafiaTarget = mafiaTarget;
-      await setPhase(game, 'nightDetective');
-    }
+    await resolveIfComplete(game);
 
-    res.json(game);
+    res.json(buildGameView(game, voter));
   } catch (err) {
     console.error('MafiaVote error:', err.message);
     res.status(500).send('Server error');
   }
 };
 
-// Detective investigate
-exports.investigate = async (req, res) => {
-  const { investigatorName, targetName } = req.body;
+// Detective/Sheriff investigate
+exports.investigate = (req, res) => submitNightAction(req, res, ['investigate']);
+
+// Doctor save / Bodyguard guard
+exports.doctorSave = (req, res) => submitNightAction(req, res, ['protect', 'guard']);
+
+// Any individual night action, whatever the role (e.g. Serial Killer kill)
+exports.nightAction = (req, res) => submitNightAction(req, res);
+
+// Day vote
+exports.dayVote = async (req, res) => {
+  const { targetName } = req.body;
+  // No lynch has to be asked for with an explicit null, so a missing field is never counted as one
+  if (targetName === undefined) return res.status(400).json({ msg: 'targetName is required; send null to vote for no lynch' });
   try {
     const game = await Game.findOne({ gameId: req.params.id });
-    if (!game || game.state !== 'inProgress' || game.currentPhase !== 'nightDetective') {
-      return res.status(400).json({ msg: 'Detective can only investigate during detective phase' });
+    if (!game || game.state !== 'inProgress' || game.currentPhase !== 'day') {
+      return res.status(400).json({ msg: 'Voting only allowed during day phase' });
     }
 
-    const investigator = game.players.find((p) => p.name === investigatorName && p.role === 'Detective' && p.isAlive);
-    if (!investigator) return res.status(400).json({ msg: 'Invalid investigator' });
-    if (game.detectiveResult) return res.status(400).json({ msg: 'You have already investigated' });
+    const voter = game.players.id(req.playerId);
+    if (!voter || !voter.isAlive) return res.status(400).json({ msg: 'Invalid voter' });
+    const voterName = voter.name;
+    // A null target votes for no lynch; re-voting replaces the earlier vote
     const target = game.players.find((p) => p.name === targetName && p.isAlive);
-    if (!target) return res.status(400).json({ msg: 'Invalid target' });
+    if (targetName != null && !target) return res.status(400).json({ msg: 'Invalid target' });
+    if (target && game.runoffCandidates.length > 0 && !game.runoffCandidates.includes(target.name)) {
+      return res.status(400).json({ msg: 'Only tied players can be voted for in the runoff' });
+    }
 
-    // Godfather appears as non-Mafia
-    const result = target.role === 'Godfather' ? '-ve' : target.role === 'Mafia' ? '+ve' : '-ve';
-    game.detectiveResult = result;
+    game.votes.set(voterName, target ? target.name : NO_LYNCH_VOTE);
+    recordEvent(game, 'dayVote', { actor: voterName, target: game.votes.get(voterName) });
     await game.save();
+    emitGameUpdate(io, game); // Real-time vote visibility
 
-    // Send result only to the detective
-    const detectiveSocketId = investigator.socketId;
-    io.to(detectiveSocketId).emit('investigationResult', { target: targetName, result });
-    await setPhase(game, 'nightDoctor');
+    // Check if all living players have voted
+    await resolveIfComplete(game);
 
-    res.json(game);
+    res.json(buildGameView(game, voter));
   } catch (err) {
-    console.error('Investigate error:', err.message);
-    res.status(500).send('Server error');
+    console.error('DayVote error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
   }
 };
 
-// Doctor save
-exports.doctorSave = async (req, res) => {
-  const { doctorName, targetName } = req.body;
-  try {
-    const game = await Game.findOne({ gameId: req.params.id });
-    if (!game || game.state !== 'inProgress' || game.currentPhase !== 'nightDoctor') {
-      return res.status(400).json({ msg: 'Doctor can only save during doctor phase' });
-    }
 
-    const doctor = game.players.find((p) => p.name === doctorName && p.role === 'Doctor' && p.isAlive);
-    if (!doctor) return res.status(400).json({ msg: 'Invalid doctor' });
-    const target = game.players.find((p) => p.name === targetName && p.isAlive);
-    if (!target) return res.status(400).json({ msg: 'Invalid target' });
+// Remove a player who left an in-progress game, ending the game if that decides it.
+// Callers run it inside the game's command queue
+exports.forfeitPlayer = async (game, player) => {
+  if (game.state !== 'inProgress' || !player.isAlive) return;
+  // Votes from a player who is out no longer count
+  game.votes.delete(player.name);
+  game.mafiaVotes.delete(player.name);
+  eliminatePlayer(game, player, 'forfeit');
+  await game.save();
+  if (await checkGameOver(game, { eliminated: [player.name], cause: 'forfeit' })) return;
+  emitGameUpdate(io, game);
+  syncGameAudio(game);
+};
 
-    game.doctorSave = targetName; // Allow self-save (no restriction on doctorName === targetName)
-    await game.save();
-    await resolveNight(game); // Move to day phase
+// Start the reconnect grace period for a player whose socket dropped mid-game; the caller saves the game
+exports.startReconnectGrace = (game, player) => {
+  player.socketId = null;
+  if (game.state !== 'inProgress' || !player.isAlive || player.isAbsent) return;
+  player.disconnectedAt = new Date();
+  recordEvent(game, 'playerDisconnected', { actor: player.name });
+  io.to(game.gameId).emit('playerDisconnected', {
+    name: player.name,
+    graceSeconds: game.settings.reconnectGraceSeconds,
+  });
+  scheduleReconnectGrace(game, player);
+};
 
-    res.json(game.toJSON());
+// Welcome a player back to their seat and re-send everything only they were told.
+// Callers run it inside the game's command queue after binding the new socket
+exports.reconnectPlayer = async (game, player) => {
+  if (player.disconnectedAt || player.isAbsent) {
+    clearReconnectTimer(game.gameId, player._id.toString());
+    player.disconnectedAt = null;
+    player.isAbsent = false;
+    recordEvent(game, 'playerReconnected', { actor: player.name });
+    io.to(game.gameId).emit('playerReconnected', { name: player.name });
+  }
+  await game.save();
+  if (game.state === 'waiting') return;
+
+  sendPrivateState(game, player);
+  game.events
+    .filter((e) => e.type === 'nightAction' && e.actor === player.name && e.data?.result !== undefined)
+    .forEach((e) => io.to(player.socketId).emit('investigationResult', { target: e.target, result: e.data.result }));
+  if (game.state === 'inProgress') {
+    io.to(player.socketId).emit('phaseDeadline', { phase: game.currentPhase, deadline: game.phaseDeadline });
+  }
+};
+
+// Delete a lobby everyone has left, along with its chat. Callers run it inside the game's command queue
+exports.discardLobby = async (game) => {
+  runOnOwner(game, 'cancelCountdown');
+  await Game.deleteOne({ _id: game._id });
+  await ChatMessage.deleteMany({ gameId: game.gameId });
+  if (!game.settings.isPrivate) io.emit('gameRemoved', { gameId: game.gameId });
+};
+
+// Remove lobbies left without players, e.g. by a crash before the last disconnect was handled
+exports.cleanupEmptyLobbies = async () => {
+  try {
+    const games = await Game.find({ state: 'waiting', players: { $size: 0 } });
+    await Promise.all(games.map((game) => runExclusive(game.gameId, () => exports.discardLobby(game))));
+    if (games.length > 0) console.log(`Removed ${games.length} empty lobby(ies)`);
   } catch (err) {
-    console.error('DoctorSave error:', err.message);
-    res.status(500).json({ msg: 'Server error', error: err.message });
+    console.error('CleanupEmptyLobbies error:', err.message);
   }
 };
 
-// Day vote
-exports.dayVote = async (req, res) => {
-  const { voterName, targetName } = req.body;
+// Why a new player cannot take a seat, as { status, msg }, or null when they can; shared with the socket join
+exports.joinError = (game, name, inviteCode, accountId) => joinError(game, name, inviteCode, accountId);
+
+// Listen for timer work other nodes forward to this one for the games it owns
+exports.startCoordination = () => {
+  io.on('ownerTask', ({ ownerNode, gameId, task, payload }) => {
+    if (ownerNode === NODE_ID) OWNER_TASKS[task]?.(gameId, payload);
+  });
+};
+
+// Rebuild phase and reconnect timers for the running games this node owns, after a restart or a takeover.
+// Pass gameIds to limit it to those games
+exports.restorePhaseTimers = async (gameIds) => {
   try {
-    const game = await Game.findOne({ gameId: req.params.id });
-    if (!game || game.state !== 'inProgress' || game.currentPhase !== 'day') {
-      return res.status(400).json({ msg: 'Voting only allowed during day phase' });
-    }
+    const games = await Game.find({
+      state: 'inProgress',
+      phaseDeadline: { $ne: null },
+      ownerNode: NODE_ID,
+      ...(gameIds && { gameId: { $in: gameIds } }),
+    });
+    games.forEach((game) => {
+      scheduleGamePhaseTimer(game);
+      game.players.filter((p) => p.disconnectedAt).forEach((player) => scheduleReconnectGrace(game, player));
+    });
+    console.log(`Restored ${games.length} phase timer(s)`);
+  } catch (err) {
+    console.error('RestorePhaseTimers error:', err.message);
+  }
+};
 
-    const voter = game.players.find((p) => p.name === voterName && p.isAlive);
-    if (!voter) return res.status(400).json({ msg: 'Invalid voter' });
-    if (game.votes.has(voterName)) return res.status(400).json({ msg: 'You have already voted' });
-    const target = game.players.find((p) => p.name === targetName && p.isAlive);
-    if (!target) return res.status(400).json({ msg: 'Invalid target' });
 
-    game.votes.set(voterName, targetName);
-    await game.save();
-    io.to(game.gameId).emit('gameUpdated', game.toJSON()); // Real-time vote visibility
+// Helper Functions
 
-    // Check if all living players have voted
-    const livingPlayers = game.players.filter((p) => p.isAlive).length;
-    if (game.votes.size === livingPlayers) {
-      const voteCount = {};
-      game.players.forEach((p) => (voteCount[p.name] = 0));
-      game.votes.forEach((target) => voteCount[target]++);
-
-      const majority = Math.ceil(livingPlayers / 2);
-      const maxVotes = Math.max(...Object.values(voteCount));
-      let eliminated = null;
-
-      if (maxVotes >= majority) {
-        const candidates = Object.entries(voteCount)
-          .filter(([_, count]) => count === maxVotes)
-          .map(([name]) => name);
-        eliminated = candidates.length === 1 ? candidates[0] : candidates[0]; // First in tie
-      }
+// Timers only ever run on a game's owner node, so countdowns and phase resolution happen exactly once
+const OWNER_TASKS = {
+  phaseTimer: (gameId, { phase, deadline }) =>
+    schedulePhaseTimer(gameId, deadline, () => runExclusive(gameId, () => handlePhaseTimeout(gameId, phase, deadline))),
+  reconnectTimer: (gameId, { playerId, deadline, disconnectedAt }) =>
+    scheduleReconnectTimer(gameId, playerId, deadline, () =>
+      runExclusive(gameId, () => handleReconnectTimeout(gameId, playerId, disconnectedAt))
+    ),
+  resolveIfComplete: (gameId, { phase }) => runExclusive(gameId, () => handlePhaseSubmission(gameId, phase)),
+  startCountdown: (gameId) => startCountdown(gameId),
+  cancelCountdown: (gameId) => cancelStartCountdown(gameId),
+  syncAudio: (gameId) =>
+    Game.findOne({ gameId })
+      .then((game) => game && syncAudio(io, game))
+      .catch((err) => console.error('SyncAudio error:', err.message)),
+};
 
-      if (eliminated) {
-        const eliminatedPlayer = game.players.find((p) => p.name === eliminated);
-        eliminatedPlayer.isAlive = false;
-        game.lastKilled = eliminated; // Set for phase transition
-        io.to(game.gameId).emit('playerEliminated', { name: eliminated, killedBy: 'vote' });
-        io.to(game.gameId).emit('dayVoteResult', { eliminated });
-      }
+// Run timer work here when this node owns the game, otherwise hand it to the owner over the adapter
+function runOnOwner(game, task, payload = {}) {
+  if (ownsGame(game)) return OWNER_TASKS[task](game.gameId, payload);
+  io.serverSideEmit('ownerTask', { ownerNode: game.ownerNode, gameId: game.gameId, task, payload });
+}
 
-      game.votes.clear();
-      await game.save();
+// Audio rooms live on the owner node; elsewhere the owner re-reads the saved game and syncs from that
+function syncGameAudio(game) {
+  if (ownsGame(game)) return syncAudio(io, game);
+  runOnOwner(game, 'syncAudio');
+}
 
-      await checkWinConditions(game); // Check win conditions after voting
-      if (game.state !== 'finished') {
-        await setPhase(game, 'nightMafia'); // Transition to nightMafia for "City goes to sleep"
+function startCountdown(gameId) {
+  if (startCountdowns.has(gameId)) return;
+  io.to(gameId).emit('startCountdown', { countdown: 10 });
+  const countdown = setTimeout(() => {
+    runExclusive(gameId, async () => {
+      startCountdowns.delete(gameId);
+      const game = await Game.findOne({ gameId });
+      if (
+        game?.state === 'waiting' &&
+        game.players.length >= game.settings.minPlayers &&
+        game.players.every((p) => p.isReady)
+      ) {
+        await startGame(game);
       }
+    }).catch((err) => console.error('StartCountdown error:', err.message));
+  }, 10000); // 10-second countdown
+  startCountdowns.set(gameId, countdown);
+}
+
+function cancelStartCountdown(gameId) {
+  if (!startCountdowns.has(gameId)) return;
+  clearTimeout(startCountdowns.get(gameId));
+  startCountdowns.delete(gameId);
+  io.to(gameId).emit('countdownCancelled');
+}
+
+function isHost(game, player) {
+  return Boolean(game.hostId) && game.hostId.equals(player._id);
+}
+
+// Each host action validates its payload and returns an error message, or null once applied
+const HOST_ACTIONS = {
+  kick: async (game, host, { targetId }) => {
+    const target = targetId && game.players.find((p) => p._id.toString() === targetId);
+    if (!target) return 'Player not found';
+    if (target === host) return 'You cannot kick yourself';
+
+    game.players.pull(target._id);
+    game.kickedNames.addToSet(target.name);
+    if (target.accountId) game.kickedAccountIds.addToSet(target.accountId);
+    recordEvent(game, 'playerKicked', { actor: host.name, target: target.name });
+    await game.save();
+
+    if (target.socketId) {
+      io.to(target.socketId).emit('kicked', { gameId: game.gameId });
+      io.in(target.socketId).socketsLeave(game.gameId);
     }
+    io.to(game.gameId).emit('playerKicked', { name: target.name });
+    emitGameUpdate(io, game);
+    return null;
+  },
+
+  transferHost: async (game, host, { targetId }) => {
+    const target = targetId && game.players.find((p) => p._id.toString() === targetId);
+    if (!target) return 'Player not found';
+
+    game.hostId = target._id;
+    recordEvent(game, 'hostChanged', { actor: host.name, target: target.name });
+    await game.save();
+    io.to(game.gameId).emit('hostChanged', { hostId: target._id.toString(), name: target.name });
+    emitGameUpdate(io, game);
+    return null;
+  },
+
+  lock: async (game, host, { locked }) => {
+    if (typeof locked !== 'boolean') return 'locked must be true or false';
 
-    res.json(game.toJSON());
+    game.isLocked = locked;
+    recordEvent(game, 'lobbyLockChanged', { actor: host.name, data: { locked } });
+    await game.save();
+    io.to(game.gameId).emit('lobbyLockChanged', { locked });
+    emitGameUpdate(io, game);
+    return null;
+  },
+
+  forceStart: async (game) => {
+    // Readiness is skipped, but the lobby still has to fit the configured setup
+    const setupError = validateRoleSetup(game.settings, game.players.length);
+    if (setupError) return setupError;
+
+    runOnOwner(game, 'cancelCountdown');
+    await startGame(game);
+    return null;
+  },
+
+  mute: (game, host, payload) => setPlayerMuted(game, host, payload, true),
+  unmute: (game, host, payload) => setPlayerMuted(game, host, payload, false),
+};
+
+// Host voice moderation; muted players' producers stay paused until the host unmutes them
+async function setPlayerMuted(game, host, { targetId }, muted) {
+  const target = targetId && game.players.find((p) => p._id.toString() === targetId);
+  if (!target) return 'Player not found';
+  if (!target.isAlive) return 'Dead players cannot speak anyway';
+
+  target.isMuted = muted;
+  recordEvent(game, muted ? 'playerMuted' : 'playerUnmuted', { actor: host.name, target: target.name });
+  await game.save();
+  io.to(game.gameId).emit('playerMuted', { name: target.name, muted });
+  emitGameUpdate(io, game);
+  syncGameAudio(game);
+  return null;
+}
+
+async function respondToHostAction(req, res, action) {
+  try {
+    const result = await exports.performHostAction(req.params.id, req.playerId, action, req.body);
+    if (!result.game) return res.status(result.status).json({ msg: result.msg });
+    res.json(buildGameView(result.game, result.player));
   } catch (err) {
-    console.error('DayVote error:', err.message);
-    res.status(500).json({ msg: 'Server error', error: err.message });
+    console.error('HostAction error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
   }
-};
+}
 
+// Apply a partial settings object to the game; returns an error message, or null on success
+function applySettings(game, updates) {
+  updates = updates ?? {};
+  if (typeof updates !== 'object' || Array.isArray(updates)) return 'settings must be an object';
+  const unknown = Object.keys(updates).filter((key) => !SETTINGS_FIELDS.includes(key));
+  if (unknown.length > 0) return `Unknown setting(s): ${unknown.join(', ')}`;
 
-// Helper Functions
+  game.settings.set(updates);
+  if (updates.roleCounts === null) game.settings.roleCounts = undefined; // Back to the preset
+  const validationError = game.validateSync();
+  if (validationError) return Object.values(validationError.errors)[0].message;
+
+  // The setup has to work at least for a full lobby; the exact count is checked again at start
+  return validateRoleSetup(game.settings, game.maxPlayers);
+}
+
+// Shared handler for night actions taken by a single player (everything but the Mafia group vote)
+async function submitNightAction(req, res, allowedTypes) {
+  const { targetName } = req.body;
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game || game.state !== 'inProgress') {
+      return res.status(400).json({ msg: 'Game is not in progress', code: 'WRONG_PHASE' });
+    }
+
+    const actor = game.players.id(req.playerId);
+    const action = actor && getRole(actor.role)?.nightAction;
+    if (!actor || !actor.isAlive || !action || action.shared || (allowedTypes && !allowedTypes.includes(action.type))) {
+      return res.status(400).json({ msg: 'Your role cannot perform this action', code: 'INVALID_ACTOR' });
+    }
+    if (game.currentPhase !== action.phase) {
+      return res.status(400).json({ msg: `${actor.role} can only act during the ${action.phase} phase`, code: 'WRONG_PHASE' });
+    }
+    if (game.nightActions.has(actor.name)) {
+      return res.status(400).json({ msg: 'You have already acted tonight', code: 'ALREADY_ACTED' });
+    }
+    const target = game.players.find((p) => p.name === targetName);
+    const violation = checkNightTarget(game, actor, action, target);
+    if (violation) return res.status(400).json(violation);
+
+    const result = action.type === 'investigate' ? action.reading(getRole(target.role)) : undefined;
+    game.nightActions.set(actor.name, targetName);
+    recordEvent(game, 'nightAction', {
+      actor: actor.name,
+      target: targetName,
+      data: { role: actor.role, type: action.type, result },
+    });
+    await game.save();
+
+    if (action.type === 'investigate') {
+      // Send result only to the investigator
+      io.to(actor.socketId).emit('investigationResult', { target: targetName, result });
+    }
+
+    // Move on once every living player acting in this phase has acted
+    await resolveIfComplete(game);
+
+    res.json(buildGameView(game, actor));
+  } catch (err) {
+    console.error('NightAction error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+}
 
 async function startGame(game) {
+  // Validate the setup against the actual lobby before dealing anything
+  const setupError = validateRoleSetup(game.settings, game.players.length);
+  if (setupError) {
+    io.to(game.gameId).emit('gameStartFailed', { msg: setupError });
+    return;
+  }
+
   game.state = 'inProgress';
-  game.currentPhase = 'nightMafia';
-
-  // Define role counts
-  const totalPlayers = game.players.length;
-  const mafiaCount = Math.floor(totalPlayers / 3);
-  const godfatherCount = mafiaCount > 1 ? 1 : 0;
-  const regularMafiaCount = mafiaCount - godfatherCount;
-  const specialRolesCount = regularMafiaCount + godfatherCount + 2; // Mafia + Godfather + Detective + Doctor
-
-  // Create role array
-  const roles = [
-    ...Array(regularMafiaCount).fill('Mafia'),
-    ...Array(godfatherCount).fill('Godfather'),
-    'Detective',
-    'Doctor',
-    ...Array(totalPlayers - specialRolesCount).fill('Villager'),
-  ];
+  const roles = buildRoleList(game.settings, game.players.length);
 
   // Fisher-Yates shuffle for roles (not players)
   const shuffleArray = (array) => {
@@ -332,97 +820,409 @@ async function startGame(game) {
   game.players.forEach((player, index) => {
     player.role = shuffledRoles[index];
   });
+  recordEvent(game, 'rolesDealt', { data: { roles: game.players.map((p) => ({ name: p.name, role: p.role })) } });
 
   await game.save();
 
-  // Emit roles privately
-  game.players.forEach((player) => {
-    io.to(player.socketId).emit('privateRole', { role: player.role });
-  });
-
-  // Emit mafia gang to mafia members
-  const mafiaGang = game.players
-    .filter((p) => p.role === 'Mafia' || p.role === 'Godfather')
-    .map((p) => p.name);
-  game.players.forEach((player) => {
-    if (player.role === 'Mafia' || player.role === 'Godfather') {
-      io.to(player.socketId).emit('mafiaGang', mafiaGang);
-    }
-  });
+  // Emit roles, and the mafia gang to mafia members, privately
+  game.players.forEach((player) => sendPrivateState(game, player));
 
-  io.to(game.gameId).emit('gameStarted', game.toJSON());
-  io.to(game.gameId).emit('gameUpdated', game.toJSON());
+  emitGameUpdate(io, game, 'gameStarted');
+  await setPhase(game, nightPhasesInPlay(game)[0]);
 }
 
 async function setPhase(game, phase) {
   game.currentPhase = phase;
 
-  if (phase === 'nightDetective' && !game.players.some((p) => p.role === 'Detective' && p.isAlive)) {
-    return setPhase(game, 'nightDoctor');
-  } else if (phase === 'nightDoctor' && !game.players.some((p) => p.role === 'Doctor' && p.isAlive)) {
-    return resolveNight(game);
-  } else if (phase === 'day') {
+  // Skip night phases nobody alive (and present) can act in
+  if (NIGHT_PHASES.includes(phase) && awaitedPlayers(game, phase).length === 0) {
+    return advanceNight(game);
+  }
+
+  const duration = phase === 'day' && game.runoffCandidates.length > 0 ? 'runoff' : phase;
+  game.phaseDeadline = new Date(Date.now() + game.phaseDurations[duration] * 1000);
+  scheduleGamePhaseTimer(game);
+  const deadline = game.phaseDeadline;
+  recordEvent(game, 'phaseChanged', { data: { phase, deadline } });
+  postSystemMessage(io, game, phaseAnnouncement(game, phase));
+
+  if (phase === 'day') {
     const phaseData = {
       phase,
+      deadline,
       lastKilled: game.lastKilled, // Send lastKilled to frontend
     };
     io.to(game.gameId).emit('phaseChanged', phaseData);
     game.lastKilled = null; // Clear after emitting
     await game.save();
-    io.to(game.gameId).emit('gameUpdated', game.toJSON());
-    io.to(game.gameId).emit('audioStarted');
-  } else if (phase === 'nightMafia') {
-    io.to(game.gameId).emit('phaseChanged', { phase }); // "City goes to sleep" trigger
+    emitGameUpdate(io, game);
+  } else if (phase === nightPhasesInPlay(game)[0]) {
+    io.to(game.gameId).emit('phaseChanged', { phase, deadline }); // "City goes to sleep" trigger
     await game.save();
-    io.to(game.gameId).emit('gameUpdated', game.toJSON());
+    emitGameUpdate(io, game);
   } else {
-    // Other phases (e.g., nightDetective)
+    // Later night phases (e.g., nightDetective)
     await game.save();
-    io.to(game.gameId).emit('gameUpdated', game.toJSON());
-    io.to(game.gameId).emit('phaseChanged', { phase });
+    emitGameUpdate(io, game);
+    io.to(game.gameId).emit('phaseChanged', { phase, deadline });
   }
+  // Audio follows the phase: the day channel, the Mafia's night channel, or silence
+  syncGameAudio(game);
 }
 
-// Assuming this is an internal function called after doctor's save
-async function resolveNight(game) {
-  if (game.mafiaTarget && game.mafiaTarget !== game.doctorSave) {
-    const targetPlayer = game.players.find((p) => p.name === game.mafiaTarget);
-    if (targetPlayer) {
-      targetPlayer.isAlive = false;
-      game.lastKilled = targetPlayer.name; // Set lastKilled
-      io.to(game.gameId).emit('playerEliminated', { name: targetPlayer.name, killedBy: 'mafia' });
-      io.to(game.gameId).emit('nightResult', { msg: `Night ends with the death of ${targetPlayer.name}` });
+function scheduleGamePhaseTimer(game) {
+  runOnOwner(game, 'phaseTimer', { phase: game.currentPhase, deadline: game.phaseDeadline });
+}
+
+// Resolve a phase whose deadline passed with whatever actions were submitted
+async function handlePhaseTimeout(gameId, phase, deadline) {
+  try {
+    const game = await Game.findOne({ gameId });
+    // Ignore timers that were overtaken by an earlier resolution
+    if (!game || game.state !== 'inProgress' || game.currentPhase !== phase) return;
+    if (game.phaseDeadline?.getTime() !== new Date(deadline).getTime()) return;
+
+    await resolvePhase(game);
+  } catch (err) {
+    console.error('PhaseTimeout error:', err.message);
+  }
+}
+
+// Resolve the phase once its last submission is in. Only the owner resolves, inside its own queue, so two nodes
+// each saving a final vote cannot both resolve the phase. Owner callers are already in the game's queue
+function resolveIfComplete(game) {
+  if (!ownsGame(game)) return runOnOwner(game, 'resolveIfComplete', { phase: game.currentPhase });
+  return isPhaseComplete(game) ? resolvePhase(game) : null;
+}
+
+// A submission saved on another node; re-read the game, since the phase may have moved on meanwhile
+async function handlePhaseSubmission(gameId, phase) {
+  try {
+    const game = await Game.findOne({ gameId });
+    if (!game || game.state !== 'inProgress' || game.currentPhase !== phase) return;
+    if (isPhaseComplete(game)) await resolvePhase(game);
+  } catch (err) {
+    console.error('PhaseSubmission error:', err.message);
+  }
+}
+
+// Resolve the current phase with whatever has been submitted so far
+async function resolvePhase(game) {
+  if (game.currentPhase === 'nightMafia') {
+    await resolveMafiaVotes(game);
+  } else if (game.currentPhase === 'day') {
+    await resolveDayVotes(game);
+  } else {
+    await advanceNight(game);
+  }
+}
+
+// Players the current phase waits for: living actors (every living player by day) who have not been given up on
+function awaitedPlayers(game, phase) {
+  const candidates = phase === 'day' ? game.players.filter((p) => p.isAlive) : actorsForPhase(game, phase);
+  return candidates.filter((p) => !p.isAbsent);
+}
+
+function isPhaseComplete(game) {
+  const phase = game.currentPhase;
+  const submitted = phase === 'day' ? game.votes : phase === 'nightMafia' ? game.mafiaVotes : game.nightActions;
+  return awaitedPlayers(game, phase).every((p) => submitted.has(p.name));
+}
+
+function sendPrivateState(game, player) {
+  if (!player.socketId || !getRole(player.role)) return;
+  io.to(player.socketId).emit('privateRole', { role: player.role, team: getRole(player.role).team });
+  if (isMafia(player)) {
+    io.to(player.socketId).emit('mafiaGang', game.players.filter(isMafia).map((p) => p.name));
+  }
+}
+
+function scheduleReconnectGrace(game, player) {
+  const { disconnectedAt } = player;
+  runOnOwner(game, 'reconnectTimer', {
+    playerId: player._id.toString(),
+    deadline: disconnectedAt.getTime() + game.settings.reconnectGraceSeconds * 1000,
+    disconnectedAt,
+  });
+}
+
+// Apply the game's disconnect outcome to a player who did not come back in time
+async function handleReconnectTimeout(gameId, playerId, disconnectedAt) {
+  try {
+    const game = await Game.findOne({ gameId });
+    if (!game || game.state !== 'inProgress') return;
+    const player = game.players.id(playerId);
+    // Ignore timers overtaken by a reconnect (or a later disconnect)
+    if (!player || player.socketId || player.disconnectedAt?.getTime() !== new Date(disconnectedAt).getTime()) return;
+
+    player.disconnectedAt = null;
+    if (game.settings.disconnectOutcome === 'eliminate') {
+      await exports.forfeitPlayer(game, player);
+      if (game.state !== 'inProgress') return;
+    } else {
+      player.isAbsent = true;
+      recordEvent(game, 'playerAbsent', { actor: player.name });
+      io.to(gameId).emit('playerAbsent', { name: player.name });
+      await game.save();
+      emitGameUpdate(io, game);
     }
+
+    // The phase may only have been waiting on this player
+    if (isPhaseComplete(game)) await resolvePhase(game);
+  } catch (err) {
+    console.error('ReconnectTimeout error:', err.message);
+  }
+}
+
+async function resolveMafiaVotes(game) {
+  const { tally, noLynch } = tallyVotes(game.mafiaVotes);
+  const { maxVotes, candidates } = topCandidates(tally);
+  const policy = game.settings.mafiaTieBreak;
+
+  let mafiaTarget = null;
+  if (maxVotes === 0 || noLynch >= maxVotes) {
+    // Nobody voted before the deadline, or the Mafia chose not to kill
+  } else if (candidates.length === 1) {
+    mafiaTarget = candidates[0];
+  } else if (policy === 'random') {
+    mafiaTarget = pickRandom(candidates);
+  } else if (policy === 'leader') {
+    // The leader's vote decides; if they backed none of the tied targets, the latest vote among them does
+    const leaderVote = game.mafiaVotes.get(mafiaLeader(game)?.name);
+    const voteOrder = Array.from(game.mafiaVotes.values());
+    mafiaTarget = candidates.includes(leaderVote)
+      ? leaderVote
+      : voteOrder.reverse().find((target) => candidates.includes(target));
+  }
+  // With 'noElimination' a tie spares everyone
+
+  game.mafiaTarget = mafiaTarget;
+  recordEvent(game, 'mafiaTargetChosen', { target: mafiaTarget, data: { tally, noLynch } });
+  actorsForPhase(game, 'nightMafia').forEach(({ socketId }) => {
+    io.to(socketId).emit('mafiaVoteResult', {
+      target: mafiaTarget,
+      tally,
+      noLynch,
+      tieBreak: candidates.length > 1 && noLynch < maxVotes ? policy : null,
+    });
+  });
+  await advanceNight(game);
+}
+
+// Move to the next night phase in play, or end the night after the last one
+async function advanceNight(game) {
+  const phases = nightPhasesInPlay(game);
+  const next = phases[phases.indexOf(game.currentPhase) + 1];
+  return next ? setPhase(game, next) : resolveNight(game);
+}
+
+async function resolveDayVotes(game) {
+  const livingPlayers = game.players.filter((p) => p.isAlive).length;
+  const { tally, noLynch } = tallyVotes(game.votes);
+  const { maxVotes, candidates } = topCandidates(tally);
+  const isRunoff = game.runoffCandidates.length > 0;
+  const policy = game.settings.tieBreak;
+
+  // A runoff only needs a plurality; either way the leader has to beat the no-lynch votes
+  const majority = Math.ceil(livingPlayers / 2);
+  const threshold = Math.max(isRunoff ? 1 : majority, noLynch + 1);
+  let eliminated = null;
+
+  if (maxVotes >= threshold) {
+    if (candidates.length === 1) {
+      eliminated = candidates[0];
+    } else if (policy === 'random') {
+      eliminated = pickRandom(candidates);
+    } else if (policy === 'runoff' && !isRunoff) {
+      return startRunoff(game, candidates, { tally, noLynch });
+    }
+    // With 'noElimination', or a runoff that tied again, a tie spares everyone
+  }
+
+  const result = { eliminated, tally, noLynch, tieBreak: candidates.length > 1 && maxVotes >= threshold ? policy : null };
+  io.to(game.gameId).emit('dayVoteResult', result);
+  recordEvent(game, 'dayVoteResult', { target: eliminated, data: result });
+
+  if (eliminated) {
+    eliminatePlayer(game, game.players.find((p) => p.name === eliminated), 'vote');
+    game.lastKilled = eliminated; // Set for phase transition
+  }
+
+  game.votes.clear();
+  game.runoffCandidates = [];
+  await game.save();
+
+  if (eliminated && (await checkGameOver(game, { eliminated: [eliminated], cause: 'vote' }))) return;
+  await setPhase(game, nightPhasesInPlay(game)[0]); // Transition to the first night phase for "City goes to sleep"
+}
+
+// Re-run the day vote among the tied players only
+async function startRunoff(game, candidates, { tally, noLynch }) {
+  game.runoffCandidates = candidates;
+  game.votes.clear();
+  recordEvent(game, 'dayRunoff', { data: { candidates, tally, noLynch } });
+  io.to(game.gameId).emit('dayRunoff', { candidates, tally, noLynch });
+  await setPhase(game, 'day');
+}
+
+async function resolveNight(game) {
+  const attacks = game.mafiaTarget ? [{ target: game.mafiaTarget, cause: 'mafia' }] : [];
+  const protectedNames = new Set();
+  const bodyguards = new Map(); // Guarded player name -> bodyguard
+
+  game.nightActions.forEach((targetName, actorName) => {
+    const actor = game.players.find((p) => p.name === actorName);
+    const type = getRole(actor?.role)?.nightAction?.type;
+    if (type === 'kill') attacks.push({ target: targetName, cause: actor.role });
+    else if (type === 'protect') protectedNames.add(targetName);
+    else if (type === 'guard') bodyguards.set(targetName, actor);
+  });
+
+  const killed = [];
+  attacks.forEach(({ target, cause }) => {
+    const targetPlayer = game.players.find((p) => p.name === target);
+    if (!targetPlayer || protectedNames.has(target)) return;
+    // A living bodyguard dies in place of the player they guard
+    const bodyguard = bodyguards.get(target);
+    const victim = bodyguard && bodyguard.isAlive && bodyguard !== targetPlayer ? bodyguard : targetPlayer;
+    if (victim.isAlive) killed.push(eliminatePlayer(game, victim, cause));
+  });
+
+  const killedNames = killed.map((p) => p.name);
+  if (killed.length > 0) {
+    game.lastKilled = killedNames.join(', '); // Set lastKilled
+    io.to(game.gameId).emit('nightResult', { msg: `Night ends with the death of ${game.lastKilled}` });
   } else {
     io.to(game.gameId).emit('nightResult', { msg: 'Night ends with no deaths' });
   }
 
   game.mafiaTarget = null;
   game.mafiaVotes.clear();
-  game.doctorSave = null;
-  game.detectiveResult = null;
+  game.nightActions.clear();
+  recordEvent(game, 'nightResult', { data: { killed: killedNames } });
 
   await game.save();
+  if (killed.length > 0 && (await checkGameOver(game, { eliminated: killedNames, cause: 'night' }))) return;
   await setPhase(game, 'day');
 }
 
-async function checkWinConditions(game) {
-  const alivePlayers = game.players.filter((p) => p.isAlive);
-  const aliveMafia = alivePlayers.filter((p) => p.role === 'Mafia' || p.role === 'Godfather').length;
-  const aliveVillagers = alivePlayers.filter((p) => p.role === 'Villager' || p.role === 'Detective' || p.role === 'Doctor').length;
-  const mafiaGang = game.players
-    .filter((p) => p.role === 'Mafia' || p.role === 'Godfather')
-    .map((p) => p.name); // Get mafia gang names
+function eliminatePlayer(game, player, cause) {
+  player.isAlive = false;
+  recordEvent(game, 'playerEliminated', { target: player.name, data: { cause } });
+  io.to(game.gameId).emit('playerEliminated', { name: player.name, killedBy: cause });
+  postSystemMessage(io, game, eliminationAnnouncement(player, cause));
+  // The dead join spectators in the ghost chat
+  if (player.socketId) io.in(player.socketId).socketsJoin(`ghost-${game.gameId}`);
+  return player;
+}
 
-    if (aliveMafia === 0) {
-      game.state = 'finished';
-      game.currentPhase = 'finished';
-      await game.save();
-      io.to(game.gameId).emit('gameOver', { winner: 'Villagers', mafiaGang });
-    } else if (aliveMafia >= aliveVillagers) {
-      game.state = 'finished';
-      game.currentPhase = 'finished';
-      await game.save();
-      io.to(game.gameId).emit('gameOver', { winner: 'Mafia', mafiaGang });
-    }
+function phaseAnnouncement(game, phase) {
+  if (phase === 'day' && game.runoffCandidates.length > 0) {
+    return `Runoff vote between ${game.runoffCandidates.join(' and ')}`;
+  }
+  if (phase === 'day') return 'Day breaks. Discuss and vote.';
+  if (phase === nightPhasesInPlay(game)[0]) return 'Night falls. The town goes to sleep.';
+  return 'The night goes on...';
+}
+
+function eliminationAnnouncement(player, cause) {
+  if (cause === 'vote') return `${player.name} was voted out by the town`;
+  if (cause === 'forfeit') return `${player.name} left the game and is out`;
+  return `${player.name} was killed during the night`;
+}
+
+// A new lobby hosted by its creator; returns { error } when the requested settings are invalid
+function createLobby({ name, maxPlayers, phaseDurations, settings, accountId = null }) {
+  const game = new Game({
+    gameId: uuidv4(),
+    maxPlayers: maxPlayers || 10,
+    phaseDurations, // Partial overrides fall back to schema defaults
+    state: 'waiting',
+    currentPhase: 'waiting',
+    players: [{ name, accountId }], // The creator hosts the lobby
+    ownerNode: NODE_ID, // Countdowns, timers and audio for this game run on the node that created it
+  });
+  const host = game.players[0];
+  game.hostId = host._id;
+  const error = applySettings(game, settings);
+  if (error) return { error };
+  recordEvent(game, 'playerJoined', { actor: name });
+  return { game, host };
+}
+
+// Only public lobbies are announced to every connected client
+function announceLobby(game) {
+  if (!game.settings.isPrivate) io.emit('gameCreated', buildGameView(game));
+}
+
+function hasInvite(game, inviteCode) {
+  return !game.settings.isPrivate || inviteCode === game.inviteCode;
+}
+
+// Optional account sign-in on join; { accountId } (null without a token) or { error }
+function readAccountToken(accountToken) {
+  if (!accountToken) return { accountId: null };
+  const claims = verifyPlayerToken(accountToken);
+  return claims?.accountId ? { accountId: claims.accountId } : { error: 'Invalid account token' };
+}
+
+// Why a new player cannot take a seat, as { status, msg }, or null when they can
+function joinError(game, name, inviteCode, accountId = null) {
+  if (game.state !== 'waiting') return { status: 400, msg: 'Game already started wait for new match' };
+  if (isKicked(game, name, accountId)) return { status: 403, msg: 'The host removed you from this lobby' };
+  if (game.isLocked) return { status: 403, msg: 'The host has locked this lobby' };
+  if (!hasInvite(game, inviteCode)) return { status: 403, msg: 'This lobby is private; an invite code is required' };
+  if (isNameTaken(game, name)) return { status: 400, msg: 'Name already taken' };
+  if (game.players.length >= game.maxPlayers) return { status: 400, msg: 'Room is full' };
+  if (accountId && game.players.some((p) => p.accountId?.equals(accountId))) {
+    return { status: 400, msg: 'This account is already playing in this game' };
+  }
+  return null;
+}
+
+async function seatPlayer(game, name, accountId = null) {
+  game.players.push({ name, accountId });
+  const player = game.players[game.players.length - 1];
+  if (!game.hostId) game.hostId = player._id; // First one into an abandoned lobby takes over
+  recordEvent(game, 'playerJoined', { actor: name });
+  await game.save();
+  io.to(game.gameId).emit('playerJoined', { name });
+  emitGameUpdate(io, game);
+  return player;
+}
+
+function isKicked(game, name, accountId) {
+  return game.kickedNames.includes(name) || Boolean(accountId && game.kickedAccountIds.some((id) => id.equals(accountId)));
+}
+
+// Players and spectators share one namespace so chat names stay unambiguous
+function isNameTaken(game, name) {
+  return game.players.some((p) => p.name === name) || game.spectators.some((s) => s.name === name);
+}
+
+// Single game-over evaluator, run after every elimination; returns true when the game ended
+async function checkGameOver(game, context) {
+  const result = evaluateGameOver(game, context);
+  if (!result) return false;
+
+  game.state = 'finished';
+  game.currentPhase = 'finished';
+  game.winner = result.winner;
+  game.endReason = result.reason;
+  recordEvent(game, 'gameOver', { data: result });
+  postSystemMessage(io, game, `Game over: ${result.reason}`);
+  game.phaseDeadline = null;
+  clearPhaseTimer(game.gameId);
+  await game.save();
+  await recordGameStats(game, result, context);
+
+  const mafiaGang = game.players.filter(isMafia).map((p) => p.name); // Get mafia gang names
+  const roles = game.players.map((p) => ({ name: p.name, role: p.role, isAlive: p.isAlive }));
+
+  const nights = summarizeNights(game.events); // Every night's actions for the game-over screen
+
+  io.to(game.gameId).emit('gameOver', { winner: result.winner, reason: result.reason, mafiaGang, roles, nights });
+  emitGameUpdate(io, game); // Everyone's view now includes every role
+  syncGameAudio(game);
+  return true;
 }
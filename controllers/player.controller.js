@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Account = require('../models/account.model');
+const { issueAccountToken } = require('../utils/playerToken');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { summarizeStats, LEADERBOARD_SORTS } = require('../utils/playerStats');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Create an account
+exports.register = async (req, res) => {
+  const { username, password } = req.body;
+  if (!USERNAME_PATTERN.test(username || '')) {
+    return res.status(400).json({ msg: 'Usernames are 3-20 letters, digits or underscores' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ msg: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    if (await Account.exists({ username: username.toLowerCase() })) {
+      return res.status(400).json({ msg: 'Username already taken' });
+    }
+    const account = await Account.create({ username, passwordHash: await hashPassword(password) });
+    res.json({ accountId: account._id.toString(), username: account.username, accountToken: issueAccountToken(account._id) });
+  } catch (err) {
+    console.error('Register error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Sign in to an existing account
+exports.login = async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) return res.status(400).json({ msg: 'Username and password are required' });
+
+  try {
+    const account = await Account.findOne({ username: String(username).toLowerCase() });
+    // Same answer for unknown users and wrong passwords
+    if (!account || !(await verifyPassword(String(password), account.passwordHash))) {
+      return res.status(401).json({ msg: 'Invalid username or password' });
+    }
+    res.json({ accountId: account._id.toString(), username: account.username, accountToken: issueAccountToken(account._id) });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Lifetime stats for one account
+exports.fetchStats = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ msg: 'Player not found' });
+    const account = await Account.findById(req.params.id);
+    if (!account) return res.status(404).json({ msg: 'Player not found' });
+    res.json(summarizeStats(account));
+  } catch (err) {
+    console.error('FetchStats error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Top accounts by one stat (?sort=wins by default)
+exports.fetchLeaderboard = async (req, res) => {
+  const sort = req.query.sort || 'wins';
+  if (!LEADERBOARD_SORTS.includes(sort)) {
+    return res.status(400).json({ msg: `Sort must be one of: ${LEADERBOARD_SORTS.join(', ')}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const accounts = await Account.find({ 'stats.gamesPlayed': { $gt: 0 } })
+      .sort({ [`stats.${sort}`]: -1, 'stats.gamesPlayed': 1 })
+      .limit(limit);
+    res.json({ sort, players: accounts.map((account, index) => ({ rank: index + 1, ...summarizeStats(account) })) });
+  } catch (err) {
+    console.error('FetchLeaderboard error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
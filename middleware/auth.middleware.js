@@ -0,0 +1,42 @@
+const { verifyPlayerToken } = require('../utils/playerToken');
+
+// Body fields that used to identify the acting player; identity now comes from the token only
+const LEGACY_IDENTITY_FIELDS = ['name', 'voterName', 'investigatorName', 'doctorName'];
+
+const readToken = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  return req.body?.token || req.query?.token;
+};
+
+const claimsForGame = (req) => {
+  const claims = verifyPlayerToken(readToken(req));
+  return claims && claims.gameId === req.params.id ? claims : null;
+};
+
+// Spectator tokens never authorize player actions
+const playerClaimsForGame = (req) => {
+  const claims = claimsForGame(req);
+  return claims?.playerId ? claims : null;
+};
+
+// Reject the request unless it carries a valid token for the game in the URL; sets req.playerId
+exports.requirePlayer = (req, res, next) => {
+  if (LEGACY_IDENTITY_FIELDS.some((field) => req.body?.[field] !== undefined)) {
+    return res.status(400).json({ msg: 'Name-based actions are no longer supported, send your player token' });
+  }
+
+  const claims = playerClaimsForGame(req);
+  if (!claims) return res.status(401).json({ msg: 'Invalid or missing player token' });
+
+  req.playerId = claims.playerId;
+  next();
+};
+
+// Same as requirePlayer but lets anonymous requests through; sets req.playerId or req.spectatorId when a token is valid
+exports.optionalPlayer = (req, res, next) => {
+  const claims = claimsForGame(req);
+  if (claims?.playerId) req.playerId = claims.playerId;
+  if (claims?.spectatorId) req.spectatorId = claims.spectatorId;
+  next();
+};
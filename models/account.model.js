@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Lifetime results, updated once per finished game the account played in
+const StatsSchema = new mongoose.Schema({
+  gamesPlayed: { type: Number, default: 0 },
+  gamesSurvived: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  winsByTeam: { type: Map, of: Number, default: () => new Map() },
+  winsByRole: { type: Map, of: Number, default: () => new Map() },
+  votesAgainstMafia: { type: Number, default: 0 }, // Day votes (final ones per round) that named a Mafia member
+}, { _id: false });
+
+const AccountSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  stats: { type: StatsSchema, default: () => ({}) },
+}, { timestamps: true });
+
+AccountSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Account', AccountSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// What is kept of a game once the sweeper archives it: the outcome, the cast and the event log for replays
+const ArchivedGameSchema = new mongoose.Schema({
+  gameId: { type: String, required: true, unique: true },
+  state: { type: String, required: true }, // State the game was in when it was archived
+  winner: { type: String, default: null },
+  endReason: { type: String, default: null },
+  players: [{ _id: false, name: String, role: String, isAlive: Boolean }],
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  events: { type: mongoose.Schema.Types.Mixed, default: [] },
+  createdAt: { type: Date, default: null },
+  archivedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('ArchivedGame', ArchivedGameSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const CHAT_CHANNELS = ['public', 'mafia', 'ghost', 'system'];
+
+// One stored chat line; kept out of the Game document so history can be paged without loading it
+const ChatMessageSchema = new mongoose.Schema({
+  gameId: { type: String, required: true },
+  channel: { type: String, enum: CHAT_CHANNELS, required: true },
+  name: { type: String, default: null }, // Null for system messages
+  message: { type: String, required: true },
+  phase: { type: String, default: null },
+  at: { type: Date, default: Date.now },
+});
+
+// History is read newest first per game, filtered by the channels a viewer may read
+ChatMessageSchema.index({ gameId: 1, _id: -1 });
+
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
+module.exports.CHAT_CHANNELS = CHAT_CHANNELS;
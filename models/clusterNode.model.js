@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// One entry per running server instance; a node whose heartbeat goes stale loses its games to the others
+const ClusterNodeSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true, unique: true },
+  url: { type: String, default: null }, // Public URL clients can use to reach this node directly
+  heartbeatAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('ClusterNode', ClusterNodeSchema);
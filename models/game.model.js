@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { NIGHT_PHASES } = require('../utils/roles');
+const { PRESET_NAMES } = require('../utils/roleSetup');
+const { DAY_TIE_BREAKS, MAFIA_TIE_BREAKS } = require('../utils/voting');
+const { maxPlayers } = require('../config/config');
 
 const PlayerSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -7,25 +11,98 @@ const PlayerSchema = new mongoose.Schema({
   isAlive: { type: Boolean, default: true },
   isReady: { type: Boolean, default: false },
   socketId: { type: String, default: null },
+  disconnectedAt: { type: Date, default: null }, // Set while an in-progress player's reconnect grace period runs
+  isAbsent: { type: Boolean, default: false }, // Grace period ran out; phases stop waiting for this player
+  isMuted: { type: Boolean, default: false }, // Muted by the host; their voice stays paused until unmuted
+  accountId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Linked Account, if the player signed in
 });
 
+// Watches the game without taking part; shares the ghost chat with dead players
+const SpectatorSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  socketId: { type: String, default: null },
+});
+
+// Seconds each timed phase lasts before it resolves with whatever actions were submitted.
+// Capped well below setTimeout's ~24.8-day limit, past which Node fires the timer at once
+const MAX_PHASE_SECONDS = 60 * 60;
+const PhaseDurationsSchema = new mongoose.Schema({
+  ...Object.fromEntries(
+    NIGHT_PHASES.map((phase) => [
+      phase,
+      { type: Number, default: phase === 'nightMafia' ? 60 : 30, min: 10, max: MAX_PHASE_SECONDS },
+    ])
+  ),
+  day: { type: Number, default: 180, min: 10, max: MAX_PHASE_SECONDS },
+  runoff: { type: Number, default: 60, min: 10, max: MAX_PHASE_SECONDS }, // Revote among tied players, when tieBreak is 'runoff'
+}, { _id: false });
+
+// One entry of the game's ordered event log, kept for history and replays
+const EventSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  phase: { type: String }, // Phase the game was in when the event happened
+  actor: { type: String, default: null }, // Name of the player who acted, if any
+  target: { type: String, default: null }, // Name of the player acted upon, if any
+  data: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Lobby settings, editable by the host while the game is waiting
+const SettingsSchema = new mongoose.Schema({
+  preset: { type: String, enum: PRESET_NAMES, default: 'classic' },
+  roleCounts: { type: Map, of: Number, default: undefined }, // Overrides the preset when set
+  minPlayers: { type: Number, default: 5, min: 3 },
+  doctorSelfSave: { type: Boolean, default: true },
+  maxSelfSaves: { type: Number, default: 1, min: 0 }, // Per game; null means unlimited
+  allowRepeatProtect: { type: Boolean, default: false }, // Protect or guard the same player two nights running
+  mafiaCanTargetTeammates: { type: Boolean, default: false },
+  revealVotes: { type: Boolean, default: true }, // Show day votes live instead of only the result
+  spectatorsSeeRoles: { type: Boolean, default: false },
+  reconnectGraceSeconds: { type: Number, default: 60, min: 0, max: 60 * 60 }, // Capped like phase durations
+  // What happens to a living player who does not reconnect in time: phases stop waiting for them, or they forfeit
+  disconnectOutcome: { type: String, enum: ['skip', 'eliminate'], default: 'skip' },
+  tieBreak: { type: String, enum: DAY_TIE_BREAKS, default: 'noElimination' },
+  mafiaTieBreak: { type: String, enum: MAFIA_TIE_BREAKS, default: 'leader' },
+  isPrivate: { type: Boolean, default: false }, // Private games are unlisted and need the invite code to join
+  // Day discussion in turns: one living player unmuted at a time, each for speakingTurnSeconds, then an open floor
+  speakingTurns: { type: Boolean, default: false },
+  speakingTurnSeconds: { type: Number, default: 30, min: 5, max: 10 * 60 },
+  recordDays: { type: Boolean, default: false }, // Record each day discussion on the server; shown to players up front
+}, { _id: false });
+
 const GameSchema = new mongoose.Schema({
   gameId: { type: String, default: uuidv4, unique: true },
   state: { type: String, default: 'waiting', enum: ['waiting', 'inProgress', 'finished'] },
   currentPhase: { 
     type: String, 
     default: 'waiting',
-    enum: ['waiting', 'nightMafia', 'nightDetective', 'nightDoctor', 'day', 'finished']
+    enum: ['waiting', ...NIGHT_PHASES, 'day', 'finished']
   },
   players: [PlayerSchema],
-  maxPlayers: { type: Number, default: 10 },
+  spectators: [SpectatorSchema],
+  hostId: { type: mongoose.Schema.Types.ObjectId, default: null }, // _id of the hosting player
+  isLocked: { type: Boolean, default: false }, // Locked lobbies accept no new players
+  inviteCode: { type: String, default: () => uuidv4().slice(0, 8).toUpperCase() },
+  // Names and accounts the host kicked; they cannot take a seat in this lobby again
+  kickedNames: { type: [String], default: [] },
+  kickedAccountIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  ownerNode: { type: String, default: null }, // Cluster node that runs this game's timers and audio
+  maxPlayers: { type: Number, default: 10, max: maxPlayers }, // Capped so audio ports fit a full lobby
+  settings: { type: SettingsSchema, default: () => ({}) },
   votes: { type: Map, of: String, default: () => new Map() },
+  runoffCandidates: { type: [String], default: [] }, // Non-empty while a day runoff revote is running
   mafiaVotes: { type: Map, of: String, default: () => new Map() },
   mafiaTarget: { type: String, default: null },
-  detectiveResult: { type: String, default: null },
-  doctorSave: { type: String, default: null },
+  nightActions: { type: Map, of: String, default: () => new Map() }, // Actor name -> target name
   lastKilled: { type: String, default: null },
-});
+  phaseDurations: { type: PhaseDurationsSchema, default: () => ({}) },
+  phaseDeadline: { type: Date, default: null },
+  winner: { type: String, default: null },
+  endReason: { type: String, default: null },
+  events: { type: [EventSchema], default: [] },
+  // Day number -> playerId -> milliseconds spoken in that day's discussion
+  speakingTime: { type: Map, of: { type: Map, of: Number }, default: () => new Map() },
+}, { timestamps: true });
 
 // Custom toJSON method with safe Map handling
 GameSchema.set('toJSON', {
@@ -34,6 +111,8 @@ GameSchema.set('toJSON', {
     ret.votes = ret.votes instanceof Map ? Object.fromEntries(ret.votes) : ret.votes || {};
     // Safely convert mafiaVotes to a plain object
     ret.mafiaVotes = ret.mafiaVotes instanceof Map ? Object.fromEntries(ret.mafiaVotes) : ret.mafiaVotes || {};
+    // Safely convert nightActions to a plain object
+    ret.nightActions = ret.nightActions instanceof Map ? Object.fromEntries(ret.nightActions) : ret.nightActions || {};
     return ret;
   },
 });
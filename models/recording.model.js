@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One audio file per speaker per day discussion, written on the node that owned the game's audio
+const RecordingSchema = new mongoose.Schema({
+  gameId: { type: String, required: true, index: true },
+  day: { type: Number, required: true },
+  playerId: { type: String, required: true },
+  playerName: { type: String, required: true },
+  node: { type: String, required: true }, // The file lives on this node's disk
+  file: { type: String, required: true },
+  startedAt: { type: Date, default: Date.now },
+  endedAt: { type: Date, default: null },
+  bytes: { type: Number, default: null },
+});
+
+module.exports = mongoose.model('Recording', RecordingSchema);
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/game.controller');
 const rateLimit = require('express-rate-limit');
+const { requirePlayer, optionalPlayer } = require('../middleware/auth.middleware');
+const { serializeByGame } = require('../utils/gameQueue');
 
 // Rate limiter for actions
 const actionLimiter = rateLimit({
@@ -10,14 +12,29 @@ const actionLimiter = rateLimit({
   message: 'Too many requests, please try again later.',
 });
 
+router.get('/', gameController.listGames);
 router.post('/', gameController.createGame);
-router.get('/:id', gameController.fetchGameData);
-router.post('/:id/join', gameController.joinGame);
-router.post('/:id/ready', gameController.setReady);
-router.post('/:id/unready', gameController.setUnready);
-router.post('/:id/mafiaVote', actionLimiter, gameController.mafiaVote);
-router.post('/:id/investigate', actionLimiter, gameController.investigate);
-router.post('/:id/save', actionLimiter, gameController.doctorSave);
-router.post('/:id/dayVote', actionLimiter, gameController.dayVote);
+router.post('/quickJoin', gameController.quickJoin);
+router.get('/:id', optionalPlayer, gameController.fetchGameData);
+router.get('/:id/history', gameController.fetchHistory);
+router.get('/:id/replay', gameController.replayGame);
+router.get('/:id/me/notebook', requirePlayer, gameController.fetchNotebook);
+router.get('/:id/recordings', requirePlayer, gameController.fetchRecordings);
+router.post('/:id/join', serializeByGame(gameController.joinGame));
+router.post('/:id/spectate', serializeByGame(gameController.spectateGame));
+router.patch('/:id/settings', requirePlayer, serializeByGame(gameController.updateSettings));
+router.post('/:id/kick', requirePlayer, serializeByGame(gameController.kickPlayer));
+router.post('/:id/transferHost', requirePlayer, serializeByGame(gameController.transferHost));
+router.post('/:id/lock', requirePlayer, serializeByGame(gameController.setLobbyLock));
+router.post('/:id/forceStart', requirePlayer, serializeByGame(gameController.forceStart));
+router.post('/:id/mute', requirePlayer, serializeByGame(gameController.mutePlayer));
+router.post('/:id/unmute', requirePlayer, serializeByGame(gameController.unmutePlayer));
+router.post('/:id/ready', requirePlayer, serializeByGame(gameController.setReady));
+router.post('/:id/unready', requirePlayer, serializeByGame(gameController.setUnready));
+router.post('/:id/mafiaVote', actionLimiter, requirePlayer, serializeByGame(gameController.mafiaVote));
+router.post('/:id/investigate', actionLimiter, requirePlayer, serializeByGame(gameController.investigate));
+router.post('/:id/save', actionLimiter, requirePlayer, serializeByGame(gameController.doctorSave));
+router.post('/:id/nightAction', actionLimiter, requirePlayer, serializeByGame(gameController.nightAction));
+router.post('/:id/dayVote', actionLimiter, requirePlayer, serializeByGame(gameController.dayVote));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const playerController = require('../controllers/player.controller');
+
+router.post('/players/register', playerController.register);
+router.post('/players/login', playerController.login);
+router.get('/players/:id/stats', playerController.fetchStats);
+router.get('/leaderboard', playerController.fetchLeaderboard);
+
+module.exports = router;
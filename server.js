@@ -1,30 +1,63 @@
+// Config loads first (it also reads .env) so a bad deployment stops here, before anything starts
+let config;
+try {
+  config = require("./config/config");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const express = require("express");
-const dotenv = require("dotenv");
 const http = require("http");
 const { Server } = require("socket.io");
 const connectDB = require("./config/db");
 const rateLimit = require("express-rate-limit");
 const cors = require("cors");
-const mediasoup = require("mediasoup");
 const Game = require("./models/game.model");
+const { emitGameUpdate } = require("./utils/gameView");
+const { issuePlayerToken, verifyPlayerToken } = require("./utils/playerToken");
+const { isMafia, NIGHT_PHASES } = require("./utils/roles");
+const { runExclusive } = require("./utils/gameQueue");
+const { recordEvent } = require("./utils/eventLog");
+const { startGameSweeper } = require("./utils/gameSweeper");
+const { configureAdapter } = require("./utils/socketAdapter");
+const { WORKER_COUNT, startWorkerPool } = require("./utils/mediaWorkers");
+const { ownsGame, ownerUrl, startCluster } = require("./utils/cluster");
+const { canSpeak, canHear } = require("./utils/audioPolicy");
+const {
+  rooms,
+  getOrCreateRoom,
+  closeAudioRoom,
+  mutedReason,
+  watchProducer,
+  recordProducer,
+  endSpeakingTurn,
+  audienceFor,
+} = require("./utils/audioRooms");
+const {
+  validateMessage,
+  takeRateLimit,
+  postMessage,
+  fetchChatHistory,
+} = require("./utils/chat");
+const { iceServersFor } = require("./utils/iceServers");
 
-dotenv.config();
 const app = express();
 app.set("trust proxy", 1); // Trust Render’s proxy
 
 app.use(
   cors({
-    origin: "https://mafia-v01-client.vercel.app",
-    methods: ["GET", "POST", "PUT", "DELETE"],
+    origin: config.corsOrigins,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true,
-    allowedHeaders: ["Content-Type"],
+    allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
 
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: "https://mafia-v01-client.vercel.app",
+    origin: config.corsOrigins,
     methods: ["GET", "POST"],
     credentials: true,
   },
@@ -32,180 +65,323 @@ const io = new Server(server, {
 
 module.exports.io = io;
 
-connectDB();
+const {
+  restorePhaseTimers,
+  performHostAction,
+  startReconnectGrace,
+  reconnectPlayer,
+  discardLobby,
+  cleanupEmptyLobbies,
+  startCoordination,
+  joinError,
+} = require("./controllers/game.controller");
+// The adapter has to be in place before coordination starts relaying owner tasks between nodes
+Promise.all([connectDB(), configureAdapter(io)])
+  .then(async ([, adapter]) => {
+    startCoordination();
+    // Without a shared adapter this node is the only one, so it owns every game straight away
+    await startCluster({
+      onClaimed: restorePhaseTimers,
+      standalone: adapter === "memory",
+    });
+    await restorePhaseTimers();
+    cleanupEmptyLobbies();
+  })
+  .catch((err) => {
+    console.error("Startup error:", err.message);
+    process.exit(1);
+  });
 
 app.use(express.json());
 const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
 app.use(limiter);
 
 app.use("/api/games", require("./routes/game.routes"));
+app.use("/api", require("./routes/player.routes"));
+
+const isSocketConnected = (socketId) => io.sockets.sockets.has(socketId);
+
+startGameSweeper({
+  io,
+  // Players of a game may be connected to any node
+  isSocketConnected: async (socketId) =>
+    (await io.in(socketId).fetchSockets()).length > 0,
+  audio: {
+    gameIds: () => Array.from(rooms.keys()),
+    // A room is idle once none of the sockets that joined it is still connected
+    isIdle: (gameId) => {
+      const room = rooms.get(gameId);
+      return ![...room.playerSockets.values(), ...room.listeners].some(
+        isSocketConnected
+      );
+    },
+    close: closeAudioRoom,
+  },
+});
 
-let worker;
-let router;
-const rooms = new Map();
-
-(async () => {
-  worker = await mediasoup.createWorker({
-    logLevel: "warn",
-    rtcMinPort: 10000,
-    rtcMaxPort: 10100,
-  });
-  worker.on("died", () => {
-    console.error("Mediasoup worker died, exiting...");
+startWorkerPool()
+  .then(() => console.log(`Started ${WORKER_COUNT} mediasoup worker(s)`))
+  .catch((err) => {
+    console.error("Mediasoup startup error:", err.message);
     process.exit(1);
   });
 
-  router = await worker.createRouter({
-    mediaCodecs: [
-      { kind: "audio", mimeType: "audio/opus", clockRate: 48000, channels: 2 },
-    ],
-  });
-})();
-
 io.on("connection", (socket) => {
   // console.log(`Client connected: ${socket.id}`);
 
-  socket.on("joinRoom", async ({ gameId }) => {
+  // Binds this socket to the player or spectator a token was issued for, or throws
+  const claimSeat = (game, token) => {
+    const claims = verifyPlayerToken(token);
+    if (!claims || claims.gameId !== game.gameId)
+      throw new Error("Invalid player token");
+    socket.data.gameId = game.gameId;
+
+    if (claims.spectatorId) {
+      const spectator = game.spectators.id(claims.spectatorId);
+      if (!spectator) throw new Error("Spectator not found");
+      spectator.socketId = socket.id;
+      socket.data.spectatorId = spectator._id.toString();
+      delete socket.data.playerId;
+      socket.join(`ghost-${game.gameId}`);
+      return spectator;
+    }
+
+    const player = game.players.id(claims.playerId);
+    if (!player) throw new Error("Player not found");
+    player.socketId = socket.id;
+    socket.data.playerId = player._id.toString();
+    delete socket.data.spectatorId;
+    if (!player.isAlive) socket.join(`ghost-${game.gameId}`);
+    return player;
+  };
+
+  // The player or spectator this socket is bound to in a game
+  const findSeat = (game) => {
+    const player = game.players.find((p) => p.socketId === socket.id);
+    if (player) return { player };
+    const spectator = game.spectators.find((s) => s.socketId === socket.id);
+    return spectator ? { spectator } : {};
+  };
+
+  // The player or spectator a token was issued for, without moving their seat to this socket
+  const seatForToken = (game, token) => {
+    const claims = verifyPlayerToken(token);
+    if (!claims || claims.gameId !== game.gameId)
+      throw new Error("Invalid player token");
+    if (claims.spectatorId) {
+      const spectator = game.spectators.id(claims.spectatorId);
+      return spectator ? { spectator } : {};
+    }
+    const player = game.players.id(claims.playerId);
+    return player ? { player } : {};
+  };
+
+  // The player or spectator this socket joined a game's audio as
+  const findAudioSeat = (game) => {
+    const audio = socket.data.audio;
+    if (!audio || audio.gameId !== game.gameId) return {};
+    if (audio.spectatorId) {
+      const spectator = game.spectators.id(audio.spectatorId);
+      return spectator ? { spectator } : {};
+    }
+    const player = game.players.id(audio.playerId);
+    return player ? { player } : {};
+  };
+
+  socket.on("joinRoom", async ({ gameId, token }) => {
     try {
       socket.join(gameId);
       // console.log(`Client ${socket.id} joined room: ${gameId}`);
-      const game = await Game.findOne({ gameId });
-      if (game) {
-        const player = game.players.find(
-          (p) => p.socketId === null || p.socketId === socket.id
-        );
-        if (player && !player.socketId) {
-          player.socketId = socket.id;
-          await game.save();
+      await runExclusive(gameId, async () => {
+        const game = await Game.findOne({ gameId });
+        if (game) {
+          // Without a token the socket only watches the public view
+          if (token) {
+            const seat = claimSeat(game, token);
+            // Returning players get their role, gang, results and deadline again
+            if (socket.data.spectatorId) await game.save();
+            else await reconnectPlayer(game, seat);
+          }
+          emitGameUpdate(io, game);
+          socket.emit(
+            "chatHistory",
+            await fetchChatHistory(game, findSeat(game))
+          );
         }
-        io.to(gameId).emit("gameUpdated", game);
-      }
+      });
     } catch (err) {
       console.error("Error in joinRoom:", err.message);
       socket.emit("error", { message: "Failed to join room" });
     }
   });
 
-  socket.on("joinGame", async ({ gameId, playerName }, callback) => {
-    try {
-      if (!gameId || !playerName)
-        throw new Error("Missing gameId or playerName");
-      socket.join(gameId);
-      const game = await Game.findOne({ gameId });
-      if (!game) throw new Error("Game not found");
+  socket.on(
+    "joinGame",
+    async (
+      { gameId, playerName, token, inviteCode, accountToken },
+      callback
+    ) => {
+      try {
+        if (!gameId || !playerName)
+          throw new Error("Missing gameId or playerName");
+        socket.join(gameId);
+        const player = await runExclusive(gameId, async () => {
+          const game = await Game.findOne({ gameId });
+          if (!game) throw new Error("Game not found");
+
+          const seat = game.players.find((p) => p.name === playerName);
+          if (!seat) {
+            // Signing in with an account is optional; a bad token is an error rather than ignored
+            const accountId = accountToken
+              ? verifyPlayerToken(accountToken)?.accountId
+              : null;
+            if (accountId === undefined)
+              throw new Error("Invalid account token");
+            // New seats follow the same rules as the REST join: open lobby, invite, free name and a spare seat
+            const error = joinError(game, playerName, inviteCode, accountId);
+            if (error) throw new Error(error.msg);
+            game.players.push({
+              name: playerName,
+              isAlive: true,
+              role: "unassigned",
+              isReady: false,
+              accountId,
+            });
+            const joined = game.players[game.players.length - 1];
+            joined.socketId = socket.id;
+            socket.data.playerId = joined._id.toString();
+            socket.data.gameId = gameId;
+            if (!game.hostId) game.hostId = joined._id;
+            recordEvent(game, "playerJoined", { actor: playerName });
+          } else if (token) {
+            // Existing seats can only be reclaimed by the token they were issued with
+            if (claimSeat(game, token) !== seat)
+              throw new Error("Name already taken");
+            await reconnectPlayer(game, seat);
+          } else {
+            throw new Error("Name already taken");
+          }
 
-      let player = game.players.find((p) => p.name === playerName);
-      if (!player) {
-        player = {
-          name: playerName,
-          socketId: socket.id,
-          isAlive: true,
-          role: "unassigned",
-          isReady: false,
-        };
-        game.players.push(player);
-      } else if (!player.socketId) {
-        player.socketId = socket.id;
-      } else {
-        throw new Error("Player already connected");
+          await game.save();
+          emitGameUpdate(io, game);
+          return game.players.find((p) => p.name === playerName);
+        });
+        io.to(gameId).emit("playerJoined", { name: playerName });
+        // console.log(`${playerName} joined game: ${gameId} with playerId: ${player._id.toString()}`);
+        callback({
+          playerId: player._id.toString(),
+          token: issuePlayerToken(gameId, player._id),
+        });
+      } catch (err) {
+        console.error("Error in joinGame:", err.message);
+        socket.emit("error", { message: "Failed to join game" });
+        callback({ error: err.message });
       }
-
-      await game.save();
-      io.to(gameId).emit("playerJoined", { name: playerName });
-      io.to(gameId).emit("gameUpdated", game.toJSON());
-      // console.log(`${playerName} joined game: ${gameId} with playerId: ${player._id.toString()}`);
-      callback({ playerId: player._id.toString() });
-    } catch (err) {
-      console.error("Error in joinGame:", err.message);
-      socket.emit("error", { message: "Failed to join game" });
-      callback({ error: err.message });
     }
+  );
+
+  // Host-only lobby and voice controls, mirroring the REST routes
+  const hostEvents = {
+    kickPlayer: "kick",
+    transferHost: "transferHost",
+    setLobbyLock: "lock",
+    forceStart: "forceStart",
+    mutePlayer: "mute",
+    unmutePlayer: "unmute",
+  };
+  Object.entries(hostEvents).forEach(([event, action]) => {
+    socket.on(event, async ({ gameId, ...payload } = {}, callback) => {
+      try {
+        if (!socket.data.playerId || socket.data.gameId !== gameId)
+          throw new Error("Join the game first");
+        const result = await runExclusive(gameId, () =>
+          performHostAction(gameId, socket.data.playerId, action, payload)
+        );
+        if (callback)
+          callback(result.game ? { success: true } : { error: result.msg });
+      } catch (err) {
+        console.error(`Error in ${event}:`, err.message);
+        if (callback) callback({ error: err.message });
+      }
+    });
   });
 
-  socket.on("chatMessage", async ({ gameId, name, message }) => {
+  // channel is "public" or "mafia"; Mafia members default to their own channel during nightMafia
+  socket.on("chatMessage", async ({ gameId, message, channel }) => {
     try {
       const game = await Game.findOne({ gameId });
       if (!game) return socket.emit("error", { message: "Game not found" });
 
-      const player = game.players.find((p) => p.name === name);
-      if (!player || !player.isAlive)
-        return socket.emit("error", { message: "Dead players cannot chat" });
-
-      if (game.currentPhase === "nightMafia") {
-        const isMafia = player.role === "Mafia" || player.role === "Godfather";
-        if (isMafia) {
-          const mafiaSocketIds = game.players
-            .filter(
-              (p) => (p.role === "Mafia" || p.role === "Godfather") && p.isAlive
-            )
-            .map((p) => p.socketId);
-          mafiaSocketIds.forEach((id) =>
-            io.to(id).emit("mafiaChat", { name, message })
-          );
-        }
-      } else if (game.currentPhase === "day") {
-        io.to(gameId).emit("chatMessage", { name, message });
+      const { player, spectator } = findSeat(game);
+      if (!player && !spectator)
+        return socket.emit("error", { message: "Join the game to chat" });
+      const { name } = player || spectator;
+
+      const invalid = validateMessage(message);
+      if (invalid) return socket.emit("error", { message: invalid });
+
+      // The dead and spectators only talk among themselves; living players never read this channel
+      let target = "ghost";
+      if (player && player.isAlive) {
+        const mafiaDefault =
+          game.currentPhase === "nightMafia" && isMafia(player);
+        target = channel || (mafiaDefault ? "mafia" : "public");
+        if (target === "mafia" && !isMafia(player))
+          return socket.emit("error", {
+            message: "Only the Mafia can use the mafia channel",
+          });
+        if (target === "public" && NIGHT_PHASES.includes(game.currentPhase))
+          return socket.emit("error", {
+            message: "The town is asleep; public chat reopens at day",
+          });
+        if (!["public", "mafia"].includes(target))
+          return socket.emit("error", { message: "Unknown chat channel" });
       }
+
+      if (!takeRateLimit(gameId, name))
+        return socket.emit("error", {
+          message: "You are sending messages too quickly",
+        });
+      await postMessage(io, game, target, name, message.trim());
     } catch (err) {
       console.error("Error in chatMessage:", err.message);
       socket.emit("error", { message: "Failed to send chat message" });
     }
   });
 
-  socket.on("gameUpdated", async (game) => {
-    try {
-      const room = rooms.get(game.gameId);
-      if (game.currentPhase === "day") {
-        if (!room) {
-          rooms.set(game.gameId, {
-            producers: new Map(),
-            transports: new Map(),
-            consumers: new Map(),
-            playerSockets: new Map(),
-            active: true,
-          });
-        }
-        const updatedRoom = rooms.get(game.gameId);
-        updatedRoom.active = true;
-        io.to(game.gameId).emit("audioStarted", { gameId: game.gameId });
-      } else if (room && room.active) {
-        room.active = false;
-        io.to(game.gameId).emit("audioStopped");
-      }
-    } catch (err) {
-      console.error("Error in gameUpdated:", err);
-    }
-  });
-
-  socket.on("joinAudio", async ({ gameId }) => {
+  // A token lets a socket opened only for audio, such as one redirected to the owner, join as its seat
+  socket.on("joinAudio", async ({ gameId, token }) => {
     try {
       const game = await Game.findOne({ gameId });
       if (!game) throw new Error("Game not found");
-      const player = game.players.find((p) => p.socketId === socket.id);
-      if (!player) throw new Error("Player not found");
-      if (!player.isAlive) {
-        // console.log(`Dead player ${player.name} tried joining audio`);
-        return;
+      const { player, spectator } = token
+        ? seatForToken(game, token)
+        : findSeat(game);
+      if (!player && !spectator) throw new Error("Player not found");
+      // Audio is routed by the owner node; clients on another node reconnect there for voice
+      if (!ownsGame(game)) {
+        return socket.emit("audioRedirect", {
+          gameId,
+          url: await ownerUrl(game),
+        });
       }
+      // Dead players and spectators hear the day discussion but cannot speak
+      const listenOnly = Boolean(spectator) || !player.isAlive;
+      socket.data.audio = spectator
+        ? { gameId, spectatorId: spectator._id.toString() }
+        : { gameId, playerId: player._id.toString() };
 
       socket.join(`audio-${gameId}`);
       // console.log(`Client ${socket.id} (player ${player.name}) joined audio room: audio-${gameId}`);
       // console.log(`Clients in audio-${gameId}: ${Array.from(io.sockets.adapter.rooms.get(`audio-${gameId}`) || []).join(', ')}`);
 
-      if (!rooms.has(gameId)) {
-        rooms.set(gameId, {
-          producers: new Map(),
-          transports: new Map(),
-          consumers: new Map(),
-          playerSockets: new Map(),
-          active: true,
-        });
-      }
-
-      const room = rooms.get(gameId);
-      room.playerSockets.set(player._id.toString(), socket.id);
+      const room = getOrCreateRoom(io, gameId);
+      if (listenOnly) room.listeners.add(socket.id);
+      else room.playerSockets.set(player._id.toString(), socket.id);
       // console.log(`Emitting rtpCapabilities to ${player.name}`);
+      const router = await room.routerReady;
       socket.emit("rtpCapabilities", router.rtpCapabilities);
+      if (listenOnly) socket.emit("audioListenOnly", { gameId });
     } catch (err) {
       console.error("JoinAudio error:", err.message);
     }
@@ -217,29 +393,17 @@ io.on("connection", (socket) => {
       if (!room || !room.active)
         throw new Error("Room not found or audio not active");
 
+      const router = await room.routerReady;
       const transport = await router.createWebRtcTransport({
         listenIps: [
           {
-            ip: "0.0.0.0",
-            announcedIp: "mafia-v01-server.onrender.com" || null,
+            ip: config.mediasoup.listenIp,
+            announcedIp: config.mediasoup.announcedIp,
           },
         ],
         enableUdp: true,
         enableTcp: true,
-        preferUdp: true, // Revert to UDP with TURN fallback
-        iceServers: [
-          { urls: "stun:openrelay.metered.ca:80" },
-          {
-            urls: "turn:openrelay.metered.ca:80",
-            username: "openrelayproject",
-            credential: "openrelayprojectsecret",
-          },
-          {
-            urls: "turn:openrelay.metered.ca:443",
-            username: "openrelayproject",
-            credential: "openrelayprojectsecret",
-          },
-        ],
+        preferUdp: true, // UDP first, with the TURN servers below as fallback
         appData: { socketId: socket.id },
       });
 
@@ -253,6 +417,7 @@ io.on("connection", (socket) => {
         iceParameters: transport.iceParameters,
         iceCandidates: transport.iceCandidates,
         dtlsParameters: transport.dtlsParameters,
+        iceServers: iceServersFor(transport.id),
       });
 
       transport.on("dtlsstatechange", (dtlsState) => {
@@ -297,22 +462,39 @@ io.on("connection", (socket) => {
 
   socket.on(
     "produce",
-    async (
-      { gameId, transportId, kind, rtpParameters, playerId },
-      callback
-    ) => {
+    async ({ gameId, transportId, kind, rtpParameters }, callback) => {
       try {
+        const { playerId } = socket.data.audio || {};
+        if (!playerId || socket.data.audio.gameId !== gameId)
+          throw new Error("Join audio before producing");
         const room = rooms.get(gameId);
         if (!room || !room.active) throw new Error("Audio not active");
+        if (room.listeners.has(socket.id))
+          throw new Error("Dead players and spectators cannot speak");
+        const game = await Game.findOne({ gameId });
+        const player = game?.players.id(playerId);
+        if (!player || !player.isAlive)
+          throw new Error("Dead players and spectators cannot speak");
+        if (!canSpeak(game, player))
+          throw new Error("You cannot speak in this phase");
         const transport = room.transports.get(transportId);
         if (!transport) throw new Error("Transport not found");
 
-        const producer = await transport.produce({ kind, rtpParameters });
+        // Host-muted players and those waiting for their speaking turn start paused
+        const reason = mutedReason(game, room, player);
+        const producer = await transport.produce({
+          kind,
+          rtpParameters,
+          paused: Boolean(reason),
+        });
+        if (reason) socket.emit("audioMuted", { gameId, reason });
         room.producers.set(producer.id, {
           producer,
           playerId,
           socketId: socket.id,
         });
+        await watchProducer(room, producer.id);
+        recordProducer(room, game, producer.id);
         // console.log(`🔊 Producer created: ${producer.id} for player ${socket.id}`);
 
         producer.on("transportclose", () => {
@@ -320,9 +502,14 @@ io.on("connection", (socket) => {
           room.producers.delete(producer.id);
         });
 
-        socket
-          .to(`audio-${gameId}`)
-          .emit("newProducer", { producerId: producer.id, playerId });
+        const audience = audienceFor(io, game, player).filter(
+          (id) => id !== socket.id
+        );
+        if (audience.length > 0)
+          io.to(audience).emit("newProducer", {
+            producerId: producer.id,
+            playerId,
+          });
         // console.log(`📢 Emitted newProducer ${producer.id} with playerId ${playerId} to audio-${gameId}`);
         callback({ id: producer.id });
       } catch (err) {
@@ -351,6 +538,16 @@ io.on("connection", (socket) => {
           return callback({ error: "Cannot consume own producer" });
         }
 
+        // Role and phase decide who hears whom, whatever producer the client asks for
+        const game = await Game.findOne({ gameId });
+        if (!game) throw new Error("Game not found");
+        const { player: listener, spectator } = findAudioSeat(game);
+        if (!listener && !spectator) throw new Error("Player not found");
+        const speaker = game.players.id(producerInfo.playerId);
+        if (!canHear(game, listener, speaker))
+          return callback({ error: "You cannot hear this player" });
+
+        const router = await room.routerReady;
         if (!router.canConsume({ producerId, rtpCapabilities })) {
           console.error(
             `Cannot consume producer ${producerId} with given rtpCapabilities`
@@ -362,6 +559,11 @@ io.on("connection", (socket) => {
           producerId,
           rtpCapabilities,
           paused: false,
+          appData: {
+            socketId: socket.id,
+            listenerId: listener ? listener._id.toString() : null,
+            speakerId: producerInfo.playerId,
+          },
         });
 
         room.consumers.set(consumer.id, consumer);
@@ -369,6 +571,10 @@ io.on("connection", (socket) => {
           `🎧 Consumer created: ${consumer.id} consuming ${producerId} for ${socket.id} in game ${gameId}`
         );
 
+        consumer.on("producerclose", () => {
+          room.consumers.delete(consumer.id);
+        });
+
         consumer.on("transportclose", () => {
           console.log(
             `🎧 Consumer ${consumer.id} closed due to transport close`
@@ -389,70 +595,168 @@ io.on("connection", (socket) => {
     }
   );
 
-  socket.on("getProducers", ({ gameId }, callback) => {
-    const room = rooms.get(gameId); // Fixed: Use 'rooms' instead of 'audioRooms'
-    if (!room) return callback({ error: "Room not found" });
-    const producers = Array.from(room.producers.entries()).map(
-      ([producerId, { playerId }]) => ({
-        producerId,
-        playerId,
-      })
-    );
-    // console.log(`Returning producers for game ${gameId}:`, producers);
-    callback({ producers });
+  // Older chat pages; before is the id of the oldest message the client already has
+  socket.on("loadChatHistory", async ({ gameId, before } = {}, callback) => {
+    try {
+      const game = await Game.findOne({ gameId });
+      if (!game) throw new Error("Game not found");
+      const history = await fetchChatHistory(game, findSeat(game), { before });
+      if (callback) callback(history);
+    } catch (err) {
+      console.error("Error in loadChatHistory:", err.message);
+      if (callback) callback({ error: err.message });
+    }
   });
 
-  socket.on("disconnect", async (reason) => {
+  // The player holding the floor, or the host, ends the current speaking turn early
+  socket.on("endSpeakingTurn", async ({ gameId } = {}, callback) => {
     try {
-      // console.log(`🚪 Client disconnected: ${socket.id} (${reason})`);
-      const game = await Game.findOne({ "players.socketId": socket.id });
-      if (!game) return;
-
-      const player = game.players.find((p) => p.socketId === socket.id);
-      if (!player) return;
-
-      const room = rooms.get(game.gameId);
-      if (room) {
-        Array.from(room.transports.entries()).forEach(([id, transport]) => {
-          if (transport.appData?.socketId === socket.id) {
-            transport.close();
-            room.transports.delete(id);
-          }
-        });
+      const game = await Game.findOne({ gameId });
+      if (!game || !ownsGame(game)) throw new Error("Game not found");
+      const { player } = findAudioSeat(game);
+      const room = rooms.get(gameId);
+      if (!player || !room?.turn) throw new Error("No speaking turn to end");
+      const isHost = game.hostId && game.hostId.equals(player._id);
+      if (room.turn.playerId !== player._id.toString() && !isHost)
+        throw new Error("It is not your turn");
+      endSpeakingTurn(io, game);
+      if (callback) callback({ success: true });
+    } catch (err) {
+      console.error("Error in endSpeakingTurn:", err.message);
+      if (callback) callback({ error: err.message });
+    }
+  });
 
-        Array.from(room.producers.entries()).forEach(
-          ([id, { producer, socketId }]) => {
-            if (socketId === socket.id) {
-              producer.close();
-              room.producers.delete(id);
-            }
-          }
-        );
+  socket.on("getProducers", async ({ gameId }, callback) => {
+    try {
+      const room = rooms.get(gameId); // Fixed: Use 'rooms' instead of 'audioRooms'
+      if (!room) return callback({ error: "Room not found" });
+      const game = await Game.findOne({ gameId });
+      if (!game) throw new Error("Game not found");
+      // Only the producers this socket is allowed to consume
+      const { player: listener, spectator } = findAudioSeat(game);
+      if (!listener && !spectator) throw new Error("Player not found");
+      const producers = Array.from(room.producers.entries())
+        .filter(([, { playerId }]) =>
+          canHear(game, listener, game.players.id(playerId))
+        )
+        .map(([producerId, { playerId }]) => ({
+          producerId,
+          playerId,
+        }));
+      // console.log(`Returning producers for game ${gameId}:`, producers);
+      callback({ producers });
+    } catch (err) {
+      console.error("GetProducers error:", err.message);
+      callback({ error: err.message });
+    }
+  });
 
-        Array.from(room.consumers.entries()).forEach(([id, consumer]) => {
-          consumer.close();
-          room.consumers.delete(id);
-        });
+  // Releases this socket's transports, producers and consumers and its place in the audio room
+  const leaveAudio = (gameId) => {
+    const room = rooms.get(gameId);
+    if (!room) return;
+    // Only this socket's consumers and the ones other listeners hold on its producers, found before its
+    // transports close and take the producers with them
+    Array.from(room.consumers.entries()).forEach(([id, consumer]) => {
+      const { socketId } = consumer.appData;
+      const speaker = room.producers.get(consumer.producerId);
+      if (socketId !== socket.id && speaker?.socketId !== socket.id) return;
+      consumer.close();
+      room.consumers.delete(id);
+      io.to(socketId).emit("consumerClosed", {
+        consumerId: id,
+        producerId: consumer.producerId,
+      });
+    });
 
-        if (room.playerSockets) {
-          room.playerSockets.delete(player._id.toString());
-          if (room.playerSockets.size === 0) {
-            room.active = false;
-            io.to(game.gameId).emit("audioStopped");
-            rooms.delete(game.gameId);
-            console.log(`Audio room ${game.gameId} closed due to no players`);
-          }
+    Array.from(room.transports.entries()).forEach(([id, transport]) => {
+      if (transport.appData?.socketId === socket.id) {
+        transport.close();
+        room.transports.delete(id);
+      }
+    });
+
+    Array.from(room.producers.entries()).forEach(
+      ([id, { producer, socketId }]) => {
+        if (socketId === socket.id) {
+          producer.close();
+          room.producers.delete(id);
         }
       }
+    );
 
-      if (game.state === "waiting") {
-        game.players = game.players.filter((p) => p.socketId !== socket.id);
-      } else if (game.state === "inProgress") {
-        player.socketId = null;
+    room.listeners.delete(socket.id);
+    const { playerId } = socket.data.audio;
+    // A newer socket may already carry this player's audio
+    if (playerId && room.playerSockets.get(playerId) === socket.id) {
+      room.playerSockets.delete(playerId);
+      if (room.playerSockets.size === 0) {
+        room.active = false;
+        io.to(gameId).emit("audioStopped");
+        closeAudioRoom(gameId);
+        console.log(`Audio room ${gameId} closed due to no players`);
       }
+    }
+  };
+
+  socket.on("disconnect", async (reason) => {
+    try {
+      // console.log(`🚪 Client disconnected: ${socket.id} (${reason})`);
+      // Audio membership is bound separately from the seat, possibly on another socket
+      const audioGameId = socket.data.audio?.gameId;
+      if (audioGameId)
+        await runExclusive(audioGameId, () => leaveAudio(audioGameId));
+
+      const gameId =
+        socket.data.gameId ||
+        (
+          await Game.findOne({
+            $or: [
+              { "players.socketId": socket.id },
+              { "spectators.socketId": socket.id },
+            ],
+          })
+        )?.gameId;
+      if (!gameId) return;
+
+      await runExclusive(gameId, async () => {
+        const game = await Game.findOne({ gameId });
+        if (!game) return;
+
+        // The seat may already have been reclaimed by a newer socket
+        const { player, spectator } = findSeat(game);
+        if (!player && !spectator) return;
+
+        if (spectator) {
+          // Spectators keep their entry so the same token can rejoin
+          spectator.socketId = null;
+        } else if (game.state === "waiting") {
+          game.players = game.players.filter((p) => p.socketId !== socket.id);
+          if (game.players.length === 0) {
+            await discardLobby(game);
+            return;
+          }
+          recordEvent(game, "playerLeft", { actor: player.name });
+          // Hand the lobby to the earliest remaining player when the host leaves
+          if (game.hostId && game.hostId.equals(player._id)) {
+            const newHost = game.players[0];
+            game.hostId = newHost ? newHost._id : null;
+            if (newHost) {
+              recordEvent(game, "hostChanged", { target: newHost.name });
+              io.to(game.gameId).emit("hostChanged", {
+                hostId: newHost._id.toString(),
+                name: newHost.name,
+              });
+            }
+          }
+        } else if (game.state === "inProgress") {
+          startReconnectGrace(game, player);
+        }
 
-      await game.save();
-      io.to(game.gameId).emit("gameUpdated", game);
+        await game.save();
+        emitGameUpdate(io, game);
+      });
     } catch (err) {
       console.error("Error in disconnect:", err.message);
     }
@@ -463,7 +767,7 @@ app.get("/", (req, res) => {
   res.json({ message: "Hello, your API is working! 🚀" });
 });
 
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, "0.0.0.0", () =>
+const PORT = config.port;
+server.listen(PORT, config.host, () =>
   console.log(`Server running on port ${PORT}`)
 );
@@ -0,0 +1,185 @@
+// Concurrency checks for the per-game command queue: parallel requests against one game must neither lose
+// writes nor resolve a phase or start a game twice. MongoDB, Socket.IO and audio are replaced by in-memory fakes
+process.env.APP_ENV = 'local';
+process.env.PLAYER_TOKEN_SECRET = 'test-secret';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Every emit, as { room, event, data }
+const emitted = [];
+const emitterFor = (room) => ({
+  to: (next) => emitterFor(next),
+  in: (next) => emitterFor(next),
+  except: () => emitterFor(room),
+  emit: (event, data) => emitted.push({ room, event, data }),
+  socketsJoin: () => {},
+  socketsLeave: () => {},
+});
+const io = { ...emitterFor(null), on: () => {}, serverSideEmit: () => {} };
+
+// The controller reaches io through server.js and audio through audioRooms; neither may start for real here
+const stubModule = (file, exports) => {
+  const filename = require.resolve(path.join(__dirname, '..', file));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+stubModule('server.js', { io });
+stubModule('utils/audioRooms.js', { syncAudio: () => {}, summarizeSpeakingTime: () => [] });
+
+const Game = require('../models/game.model');
+const ChatMessage = require('../models/chatMessage.model');
+const { NODE_ID } = require('../utils/cluster');
+const { runExclusive, serializeByGame } = require('../utils/gameQueue');
+const { clearPhaseTimer } = require('../utils/phaseTimers');
+const controller = require('../controllers/game.controller');
+
+// A document store with MongoDB's timing: every read and write yields, and each read returns its own copy,
+// so unserialized requests interleave and a later save overwrites an earlier one
+const store = new Map();
+const snapshot = (game) => JSON.parse(JSON.stringify(game.toObject({ flattenMaps: true })));
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+Game.findOne = async ({ gameId }) => {
+  await tick();
+  return store.has(gameId) ? Game.hydrate(store.get(gameId)) : null;
+};
+Game.prototype.save = async function save() {
+  await this.validate();
+  await tick();
+  store.set(this.gameId, snapshot(this));
+  return this;
+};
+ChatMessage.create = async (doc) => new ChatMessage(doc);
+
+const storedGame = (gameId) => Game.hydrate(store.get(gameId));
+const eventsOf = (gameId, type) => storedGame(gameId).events.filter((event) => event.type === type);
+
+const gameIds = [];
+after(() => gameIds.forEach(clearPhaseTimer));
+
+// An in-progress game owned by this node, in the given phase, with players named after their roles
+const seedGame = async (phase, roles) => {
+  const game = new Game({
+    state: 'inProgress',
+    currentPhase: phase,
+    ownerNode: NODE_ID,
+    players: roles.map((role, index) => ({ name: `${role}${index}`, role })),
+  });
+  game.hostId = game.players[0]._id;
+  await game.save();
+  gameIds.push(game.gameId);
+  return game;
+};
+
+// Call a handler the way its route does, through serializeByGame; resolves to { status, body }
+const send = async (handler, game, player, body = {}) => {
+  const result = { status: 200 };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(payload) {
+      result.body = payload;
+      return res;
+    },
+    send(payload) {
+      result.body = payload;
+      return res;
+    },
+  };
+  await serializeByGame(handler)({ params: { id: game.gameId }, body, playerId: player._id.toString() }, res);
+  return result;
+};
+
+test('parallel Mafia votes are all counted and resolve the night once', async () => {
+  const game = await seedGame('nightMafia', ['Mafia', 'Mafia', 'Mafia', ...Array(6).fill('Villager')]);
+  const mafia = game.players.filter((p) => p.role === 'Mafia');
+  const target = game.players.find((p) => p.role === 'Villager');
+
+  const responses = await Promise.all(
+    mafia.map((voter) => send(controller.mafiaVote, game, voter, { targetName: target.name }))
+  );
+
+  assert.deepStrictEqual(responses.map((r) => r.status), [200, 200, 200]);
+  assert.strictEqual(eventsOf(game.gameId, 'mafiaVote').length, 3);
+  const resolutions = eventsOf(game.gameId, 'mafiaTargetChosen');
+  assert.strictEqual(resolutions.length, 1);
+  assert.deepStrictEqual(resolutions[0].data.tally, { [target.name]: 3 });
+  assert.strictEqual(eventsOf(game.gameId, 'nightResult').length, 1);
+  assert.strictEqual(storedGame(game.gameId).currentPhase, 'day');
+});
+
+test('parallel day votes are all counted and resolve the day once', async () => {
+  const game = await seedGame('day', ['Mafia', 'Mafia', ...Array(6).fill('Villager')]);
+  const target = game.players[0];
+
+  const responses = await Promise.all(
+    game.players.map((voter) => send(controller.dayVote, game, voter, { targetName: target.name }))
+  );
+
+  assert.ok(responses.every((r) => r.status === 200));
+  assert.strictEqual(eventsOf(game.gameId, 'dayVote').length, game.players.length);
+  const resolutions = eventsOf(game.gameId, 'dayVoteResult');
+  assert.strictEqual(resolutions.length, 1);
+  assert.strictEqual(resolutions[0].target, target.name);
+  assert.deepStrictEqual(resolutions[0].data.tally, { [target.name]: game.players.length });
+  assert.strictEqual(storedGame(game.gameId).currentPhase, 'nightMafia');
+});
+
+test('votes arriving after the phase resolved are rejected rather than carried over', async () => {
+  const game = await seedGame('day', ['Mafia', 'Mafia', ...Array(6).fill('Villager')]);
+  const target = game.players[0];
+  const [late, ...voters] = game.players;
+
+  const responses = await Promise.all([
+    ...voters.map((voter) => send(controller.dayVote, game, voter, { targetName: target.name })),
+    send(controller.dayVote, game, late, { targetName: null }),
+    send(controller.dayVote, game, late, { targetName: null }),
+  ]);
+
+  assert.strictEqual(eventsOf(game.gameId, 'dayVoteResult').length, 1);
+  // The late voter's first vote completed the day; the second landed in the next phase
+  assert.strictEqual(responses.at(-1).status, 400);
+  assert.strictEqual(storedGame(game.gameId).votes.size, 0);
+});
+
+test('readying up in parallel starts one countdown and one game', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const lobby = new Game({
+    state: 'waiting',
+    currentPhase: 'waiting',
+    ownerNode: NODE_ID,
+    players: ['A', 'B', 'C', 'D', 'E', 'F'].map((name) => ({ name })),
+  });
+  lobby.hostId = lobby.players[0]._id;
+  await lobby.save();
+  gameIds.push(lobby.gameId);
+  const countdowns = () => emitted.filter((e) => e.room === lobby.gameId && e.event === 'startCountdown').length;
+
+  await Promise.all(lobby.players.map((player) => send(controller.setReady, lobby, player)));
+  assert.strictEqual(countdowns(), 1);
+
+  // Dropping out cancels the countdown; readying again, twice at once, restarts it only once
+  await send(controller.setUnready, lobby, lobby.players[1]);
+  const rejoining = lobby.players[1];
+  await Promise.all([send(controller.setReady, lobby, rejoining), send(controller.setReady, lobby, rejoining)]);
+  assert.strictEqual(countdowns(), 2);
+
+  t.mock.timers.tick(10000);
+  await runExclusive(lobby.gameId, () => {}); // The countdown's start runs in the game's queue
+  assert.strictEqual(eventsOf(lobby.gameId, 'rolesDealt').length, 1);
+  assert.strictEqual(storedGame(lobby.gameId).state, 'inProgress');
+  t.mock.timers.tick(10000);
+  await runExclusive(lobby.gameId, () => {});
+  assert.strictEqual(eventsOf(lobby.gameId, 'rolesDealt').length, 1);
+});
+
+test('a missing vote target is rejected instead of counting as no lynch', async () => {
+  const game = await seedGame('day', ['Mafia', 'Mafia', ...Array(6).fill('Villager')]);
+  const response = await send(controller.dayVote, game, game.players[0], {});
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(storedGame(game.gameId).votes.size, 0);
+});
@@ -0,0 +1,26 @@
+const { isMafia } = require('./roles');
+
+// Audio channel open in the current phase: the whole table by day, only the Mafia during their night phase
+const audioChannel = (game) => {
+  if (game.state !== 'inProgress') return null;
+  if (game.currentPhase === 'day') return 'day';
+  if (game.currentPhase === 'nightMafia') return 'mafia';
+  return null;
+};
+
+// Living players on the open channel may speak
+const canSpeak = (game, player) => {
+  const channel = audioChannel(game);
+  if (!channel || !player?.isAlive) return false;
+  return channel === 'day' || isMafia(player);
+};
+
+// Whether a listener (a player subdocument, or null for a spectator) may hear a speaker right now.
+// By day everyone seated hears the living; at night only living Mafia hear each other
+const canHear = (game, listener, speaker) => {
+  if (!canSpeak(game, speaker)) return false;
+  if (audioChannel(game) === 'day') return true;
+  return Boolean(listener?.isAlive && isMafia(listener));
+};
+
+module.exports = { audioChannel, canSpeak, canHear };
@@ -0,0 +1,371 @@
+const Game = require('../models/game.model');
+const { isMafia } = require('./roles');
+const { createGameRouter } = require('./mediaWorkers');
+const { audioChannel, canSpeak, canHear } = require('./audioPolicy');
+const { startRecorder, stopRecorder } = require('./dayRecorder');
+
+// Audio rooms of the games this node owns, keyed by gameId
+const rooms = new Map();
+
+const LEVEL_INTERVAL_MS = 800; // How often the level observer reports, and the speaking time each report counts for
+const LEVEL_THRESHOLD_DB = -60; // Quieter than this counts as silence
+const LEVELS_THROTTLE_MS = 500;
+const SPEAKING_TIME_FLUSH_MS = 10 * 1000;
+
+// Days are numbered by the night that came before them
+const dayNumber = (game) => game.events.filter((e) => e.type === 'nightResult').length;
+
+const getOrCreateRoom = (io, gameId) => {
+  if (!rooms.has(gameId)) {
+    const room = {
+      producers: new Map(),
+      transports: new Map(),
+      consumers: new Map(),
+      playerSockets: new Map(),
+      listeners: new Set(), // Sockets that may consume but never produce (dead players, spectators)
+      active: true,
+      channel: null, // 'day' or 'mafia' once audioChannel has opened one
+      turn: null, // { playerId, endsAt, timer } while speaking turns run
+      turnOrder: [], // playerIds still waiting for their turn
+      audience: null, // Who hears the open channel, and so may see its levels: socket ids or the game room
+      dominantSpeaker: null, // playerId
+      volumes: {}, // playerId -> dBvo of everyone currently above the threshold
+      levelsSentAt: 0,
+      levelsTimer: null,
+      day: null, // Day number while the day channel is open
+      speakingMs: new Map(), // playerId -> speaking time not yet written to the game
+      flushedAt: Date.now(),
+      recording: false, // True while the day discussion is being recorded
+      recorders: new Map(), // producerId -> promise of its recorder handle
+    };
+    // Each game gets its own router; handlers await it instead of racing worker startup
+    room.routerReady = createGameRouter(gameId).then((router) => watchSpeech(io, gameId, room, router));
+    room.routerReady.then(
+      (router) => router.on('workerclose', () => restartAudioRoom(io, gameId, room)),
+      (err) => {
+        console.error('CreateRouter error:', err.message);
+        if (rooms.get(gameId) === room) rooms.delete(gameId);
+      }
+    );
+    rooms.set(gameId, room);
+  }
+  return rooms.get(gameId);
+};
+
+// Close everything a game's audio room holds and forget it; returns what was closed
+const closeAudioRoom = (gameId) => {
+  const room = rooms.get(gameId);
+  if (!room) return {};
+  const counts = {
+    audioRooms: 1,
+    consumers: room.consumers.size,
+    producers: room.producers.size,
+    transports: room.transports.size,
+  };
+  clearTimeout(room.turn?.timer);
+  clearTimeout(room.levelsTimer);
+  flushSpeakingTime(gameId, room);
+  stopDayRecording(room);
+  // Closing the router closes every transport, producer and consumer on it
+  room.routerReady.then(
+    (router) => router.close(),
+    () => {}
+  );
+  rooms.delete(gameId);
+  return counts;
+};
+
+// The worker under a game's router died: give the game a fresh router and have its clients rejoin audio.
+// Games on other workers are untouched
+const restartAudioRoom = (io, gameId, room) => {
+  if (rooms.get(gameId) !== room) return;
+  rooms.delete(gameId);
+  // The recorders' transports died with the worker; recording picks up again as clients produce on the new router
+  const { recording } = room;
+  stopDayRecording(room);
+  const fresh = getOrCreateRoom(io, gameId);
+  fresh.recording = recording;
+  fresh.active = room.active;
+  fresh.channel = room.channel;
+  fresh.turn = room.turn;
+  fresh.turnOrder = room.turnOrder;
+  fresh.audience = room.audience;
+  fresh.day = room.day;
+  fresh.speakingMs = room.speakingMs;
+  io.to(`audio-${gameId}`).emit('audioRestart', { gameId });
+};
+
+// Attach the level and active-speaker observers to a new router; resolves to the router
+async function watchSpeech(io, gameId, room, router) {
+  room.levelObserver = await router.createAudioLevelObserver({
+    maxEntries: 16,
+    threshold: LEVEL_THRESHOLD_DB,
+    interval: LEVEL_INTERVAL_MS,
+  });
+  room.speakerObserver = await router.createActiveSpeakerObserver();
+
+  const playerIdOf = (producer) => room.producers.get(producer.id)?.playerId;
+  room.levelObserver.on('volumes', (volumes) => {
+    room.volumes = {};
+    volumes.forEach(({ producer, volume }) => {
+      const playerId = playerIdOf(producer);
+      if (!playerId) return;
+      room.volumes[playerId] = volume;
+      // Only the day discussion is timed
+      if (room.channel === 'day') room.speakingMs.set(playerId, (room.speakingMs.get(playerId) || 0) + LEVEL_INTERVAL_MS);
+    });
+    if (Date.now() - room.flushedAt >= SPEAKING_TIME_FLUSH_MS) flushSpeakingTime(gameId, room);
+    emitLevels(io, gameId, room);
+  });
+  room.levelObserver.on('silence', () => {
+    room.volumes = {};
+    emitLevels(io, gameId, room);
+  });
+  room.speakerObserver.on('dominantspeaker', ({ producer }) => {
+    room.dominantSpeaker = playerIdOf(producer) || null;
+    emitLevels(io, gameId, room);
+  });
+  return router;
+}
+
+// Follow a new producer's levels and dominance
+const watchProducer = async (room, producerId) => {
+  await room.routerReady;
+  await Promise.all([room.levelObserver.addProducer({ producerId }), room.speakerObserver.addProducer({ producerId })]);
+};
+
+// audioLevels goes out at most every LEVELS_THROTTLE_MS, always carrying the latest state
+const emitLevels = (io, gameId, room) => {
+  if (room.levelsTimer) return;
+  room.levelsTimer = setTimeout(() => {
+    room.levelsTimer = null;
+    room.levelsSentAt = Date.now();
+    if (!room.audience) return;
+    io.to(room.audience).emit('audioLevels', { gameId, dominantSpeaker: room.dominantSpeaker, volumes: room.volumes });
+  }, Math.max(0, room.levelsSentAt + LEVELS_THROTTLE_MS - Date.now()));
+};
+
+// Add the speaking time gathered since the last flush to the game's per-day totals
+const flushSpeakingTime = (gameId, room) => {
+  room.flushedAt = Date.now();
+  if (room.day === null || room.speakingMs.size === 0) return Promise.resolve();
+  const $inc = {};
+  room.speakingMs.forEach((ms, playerId) => {
+    $inc[`speakingTime.${room.day}.${playerId}`] = ms;
+  });
+  room.speakingMs = new Map();
+  return Game.updateOne({ gameId }, { $inc }).catch((err) => console.error('SpeakingTime error:', err.message));
+};
+
+// Speaking time per day, most talkative first: [{ day, speakers: [{ playerId, name, seconds }] }]
+const summarizeSpeakingTime = (game) =>
+  Array.from(game.speakingTime || new Map(), ([day, totals]) => ({
+    day: Number(day),
+    speakers: Array.from(totals, ([playerId, ms]) => ({
+      playerId,
+      name: game.players.id(playerId)?.name || null,
+      seconds: Math.round(ms / 1000),
+    })).sort((a, b) => b.seconds - a.seconds),
+  })).sort((a, b) => a.day - b.day);
+
+// Record a producer for the rest of the day when the day discussion is being recorded
+const recordProducer = (room, game, producerId) => {
+  const info = room.producers.get(producerId);
+  if (!room.recording || !info || room.recorders.has(producerId)) return;
+  const speaker = game.players.id(info.playerId);
+  const recorder = room.routerReady.then((router) =>
+    startRecorder(router, {
+      gameId: game.gameId,
+      day: room.day,
+      producerId,
+      playerId: info.playerId,
+      playerName: speaker.name,
+    })
+  );
+  recorder.catch((err) => {
+    console.error('StartRecorder error:', err.message);
+    room.recorders.delete(producerId);
+  });
+  room.recorders.set(producerId, recorder);
+};
+
+const startDayRecording = (room, game) => {
+  room.recording = true;
+  room.producers.forEach((info, producerId) => recordProducer(room, game, producerId));
+};
+
+const stopDayRecording = async (room) => {
+  if (!room.recording) return;
+  room.recording = false;
+  const recorders = [...room.recorders.values()];
+  room.recorders = new Map();
+  await Promise.all(
+    recorders.map((recorder) =>
+      recorder.then(stopRecorder, () => {}).catch((err) => console.error('StopRecorder error:', err.message))
+    )
+  );
+};
+
+// Once a day's discussion closes, stop recording it and tell the table who talked most
+const endDay = async (io, gameId, room) => {
+  const day = room.day;
+  if (room.recording) {
+    stopDayRecording(room);
+    io.to(gameId).emit('recordingStopped', { gameId, day });
+  }
+  await flushSpeakingTime(gameId, room);
+  room.day = null;
+  const game = await Game.findOne({ gameId });
+  const summary = game && summarizeSpeakingTime(game).find((entry) => entry.day === day);
+  io.to(gameId).emit('daySummary', { gameId, day, speakingTime: summary ? summary.speakers : [] });
+};
+
+// Why a player who is otherwise on the open channel is held silent: 'phase', 'host' or 'turn'; null when they may talk
+const mutedReason = (game, room, player) => {
+  if (!canSpeak(game, player)) return 'phase';
+  if (player.isMuted) return 'host';
+  if (room.turn && room.turn.playerId !== player._id.toString()) return 'turn';
+  return null;
+};
+
+// Close the producers of players who died and pause or resume the rest to match who may talk right now
+const moderateProducers = (io, game, room) => {
+  room.producers.forEach((info, producerId) => {
+    const speaker = game.players.id(info.playerId);
+    if (!speaker || !speaker.isAlive) {
+      info.producer.close();
+      room.producers.delete(producerId);
+      io.to(`audio-${game.gameId}`).emit('producerClosed', { producerId, playerId: info.playerId });
+      return;
+    }
+
+    const reason = mutedReason(game, room, speaker);
+    if (Boolean(reason) === info.producer.paused) return;
+    (reason ? info.producer.pause() : info.producer.resume()).catch((err) =>
+      console.error('ModerateProducer error:', err.message)
+    );
+    io.to(info.socketId).emit(reason ? 'audioMuted' : 'audioUnmuted', { gameId: game.gameId, reason });
+  });
+};
+
+// Hand the floor to the next living player in turn order, or open it to everyone once all have spoken
+const nextSpeakingTurn = (io, game, room) => {
+  clearTimeout(room.turn?.timer);
+  room.turn = null;
+  while (room.turnOrder.length > 0 && !room.turn) {
+    const player = game.players.id(room.turnOrder.shift());
+    if (!player?.isAlive) continue;
+    const playerId = player._id.toString();
+    const endsAt = new Date(Date.now() + game.settings.speakingTurnSeconds * 1000);
+    const turn = { playerId, endsAt };
+    turn.timer = setTimeout(() => expireSpeakingTurn(io, game.gameId, turn), endsAt - Date.now());
+    room.turn = turn;
+    io.to(game.gameId).emit('speakingTurn', { gameId: game.gameId, playerId, name: player.name, endsAt });
+  }
+  if (!room.turn) io.to(game.gameId).emit('speakingTurn', { gameId: game.gameId, playerId: null });
+  moderateProducers(io, game, room);
+};
+
+// The turn's timer ran out; a turn that already ended early is left alone
+async function expireSpeakingTurn(io, gameId, turn) {
+  try {
+    const room = rooms.get(gameId);
+    if (!room || room.turn !== turn) return;
+    const game = await Game.findOne({ gameId });
+    if (game) nextSpeakingTurn(io, game, room);
+  } catch (err) {
+    console.error('SpeakingTurn error:', err.message);
+  }
+}
+
+// The current speaker (or the host) gives up the rest of the turn
+const endSpeakingTurn = (io, game) => {
+  const room = rooms.get(game.gameId);
+  if (!room?.turn) return false;
+  nextSpeakingTurn(io, game, room);
+  return true;
+};
+
+// Bring a game's audio in line with its stored state: open or close the channel for the phase, run speaking
+// turns by day when the game uses them, moderate producers and close consumers that are no longer allowed
+const syncAudio = (io, game) => {
+  const { gameId } = game;
+  const previous = rooms.get(gameId);
+  if (previous?.channel === 'day' && audioChannel(game) !== 'day') {
+    endDay(io, gameId, previous).catch((err) => console.error('DaySummary error:', err.message));
+  }
+  // A finished game's audio is over for good
+  if (game.state !== 'inProgress') {
+    if (previous) io.to(gameId).emit('audioStopped');
+    closeAudioRoom(gameId);
+    return;
+  }
+
+  const channel = audioChannel(game);
+  let room = rooms.get(gameId);
+  if (channel && (!room || !room.active || room.channel !== channel)) {
+    room = getOrCreateRoom(io, gameId);
+    room.active = true;
+    room.channel = channel;
+    clearTimeout(room.turn?.timer);
+    room.turn = null;
+    room.turnOrder = channel === 'day' && game.settings.speakingTurns
+      ? game.players.filter((p) => p.isAlive).map((p) => p._id.toString())
+      : [];
+    // The Mafia channel is only announced to the living Mafia
+    const audience = channel === 'mafia'
+      ? game.players.filter((p) => p.isAlive && isMafia(p) && p.socketId).map((p) => p.socketId)
+      : [gameId];
+    // Recording is announced before any audio flows
+    const recording = channel === 'day' && game.settings.recordDays;
+    if (recording) io.to(gameId).emit('recordingStarted', { gameId, day: dayNumber(game) });
+    if (audience.length > 0) io.to(audience).emit('audioStarted', { gameId, channel, recording });
+    room.audience = audience.length > 0 ? audience : null;
+    room.dominantSpeaker = null;
+    room.day = channel === 'day' ? dayNumber(game) : null;
+    if (recording) startDayRecording(room, game);
+    if (room.turnOrder.length > 0) nextSpeakingTurn(io, game, room);
+  } else if (!channel && room && room.active) {
+    room.active = false;
+    room.channel = null;
+    clearTimeout(room.turn?.timer);
+    room.turn = null;
+    room.turnOrder = [];
+    room.audience = null;
+    room.dominantSpeaker = null;
+    io.to(gameId).emit('audioStopped');
+  }
+  if (!room) return;
+
+  moderateProducers(io, game, room);
+  room.consumers.forEach((consumer, id) => {
+    const { socketId, listenerId, speakerId } = consumer.appData;
+    const listener = listenerId ? game.players.id(listenerId) : null;
+    if (canHear(game, listener, game.players.id(speakerId))) return;
+    consumer.close();
+    room.consumers.delete(id);
+    io.to(socketId).emit('consumerClosed', { consumerId: id, producerId: consumer.producerId });
+  });
+};
+
+// Local sockets in a game's audio room whose seat may hear the speaker
+const audienceFor = (io, game, speaker) =>
+  Array.from(io.sockets.adapter.rooms.get(`audio-${game.gameId}`) || []).filter((socketId) => {
+    const audio = io.sockets.sockets.get(socketId)?.data.audio;
+    if (!audio || audio.gameId !== game.gameId) return false;
+    const listener = audio.playerId ? game.players.id(audio.playerId) : null;
+    return (listener || audio.spectatorId) && canHear(game, listener, speaker);
+  });
+
+module.exports = {
+  rooms,
+  getOrCreateRoom,
+  closeAudioRoom,
+  mutedReason,
+  watchProducer,
+  recordProducer,
+  summarizeSpeakingTime,
+  endSpeakingTurn,
+  syncAudio,
+  audienceFor,
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/chatMessage.model');
+const { CHAT_CHANNELS } = require('../models/chatMessage.model');
+const { isMafia } = require('./roles');
+
+const MAX_MESSAGE_LENGTH = 500;
+const HISTORY_PAGE_SIZE = 50;
+// Each player may send at most RATE_LIMIT_MAX messages per RATE_LIMIT_WINDOW_MS in one game
+const RATE_LIMIT_MAX = 5;
+const RATE_LIMIT_WINDOW_MS = 10 * 1000;
+
+const recentMessages = new Map(); // `${gameId}:${name}` -> timestamps inside the window
+
+// Drop senders with nothing left inside the window, so finished games and departed players do not pile up
+setInterval(() => {
+  const now = Date.now();
+  recentMessages.forEach((timestamps, key) => {
+    if (timestamps.every((at) => now - at >= RATE_LIMIT_WINDOW_MS)) recentMessages.delete(key);
+  });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// Returns a message describing why the text cannot be sent, or null when it is fine
+const validateMessage = (message) => {
+  if (typeof message !== 'string' || message.trim() === '') return 'Message cannot be empty';
+  if (message.length > MAX_MESSAGE_LENGTH) return `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`;
+  return null;
+};
+
+// Records one message against the sender's budget; returns false when they are over the limit
+const takeRateLimit = (gameId, name) => {
+  const key = `${gameId}:${name}`;
+  const now = Date.now();
+  const recent = (recentMessages.get(key) || []).filter((at) => now - at < RATE_LIMIT_WINDOW_MS);
+  if (recent.length >= RATE_LIMIT_MAX) {
+    recentMessages.set(key, recent);
+    return false;
+  }
+  recentMessages.set(key, [...recent, now]);
+  return true;
+};
+
+// Channels a player or spectator may read; everything is revealed once the game is over
+const readableChannels = (game, { player, spectator } = {}) => {
+  if (game.state === 'finished') return CHAT_CHANNELS;
+  const channels = ['public', 'system'];
+  if (player && player.isAlive && isMafia(player)) channels.push('mafia');
+  if (spectator || (player && !player.isAlive)) channels.push('ghost');
+  return channels;
+};
+
+const toEntry = (doc) => ({
+  id: doc._id.toString(),
+  channel: doc.channel,
+  name: doc.name,
+  message: doc.message,
+  phase: doc.phase,
+  at: doc.at,
+});
+
+// Live delivery mirrors readableChannels: living Mafia for mafia chat, the ghost room for the dead and spectators
+const deliver = (io, game, entry) => {
+  if (entry.channel === 'mafia') {
+    game.players
+      .filter((p) => p.isAlive && isMafia(p) && p.socketId)
+      .forEach((p) => io.to(p.socketId).emit('mafiaChat', entry));
+  } else if (entry.channel === 'ghost') {
+    io.to(`ghost-${game.gameId}`).emit('ghostChat', entry);
+  } else if (entry.channel === 'system') {
+    io.to(game.gameId).emit('systemMessage', entry);
+  } else {
+    io.to(game.gameId).emit('chatMessage', entry);
+  }
+};
+
+// Store a message and send it to everyone allowed to read its channel
+const postMessage = async (io, game, channel, name, message) => {
+  const doc = await ChatMessage.create({ gameId: game.gameId, channel, name, message, phase: game.currentPhase });
+  const entry = toEntry(doc);
+  deliver(io, game, entry);
+  return entry;
+};
+
+// System lines are fire-and-forget so game flow never waits on (or fails because of) chat storage
+const postSystemMessage = (io, game, message) =>
+  postMessage(io, game, 'system', null, message).catch((err) => {
+    console.error('SystemMessage error:', err.message);
+  });
+
+// One page of history, oldest first; pass the id of the oldest message already shown as `before` for the next page
+const fetchChatHistory = async (game, seat, { before, limit = HISTORY_PAGE_SIZE } = {}) => {
+  const pageSize = Math.min(Math.max(Number(limit) || HISTORY_PAGE_SIZE, 1), HISTORY_PAGE_SIZE);
+  const query = { gameId: game.gameId, channel: { $in: readableChannels(game, seat) } };
+  if (before && mongoose.isValidObjectId(before)) query._id = { $lt: before };
+
+  const docs = await ChatMessage.find(query).sort({ _id: -1 }).limit(pageSize + 1);
+  return {
+    messages: docs.slice(0, pageSize).reverse().map(toEntry),
+    hasMore: docs.length > pageSize,
+  };
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  validateMessage,
+  takeRateLimit,
+  readableChannels,
+  postMessage,
+  postSystemMessage,
+  fetchChatHistory,
+};
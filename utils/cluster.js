@@ -0,0 +1,62 @@
+const os = require('os');
+const Game = require('../models/game.model');
+const ClusterNode = require('../models/clusterNode.model');
+
+// Set NODE_ID to something stable per instance so a restarted node keeps its games without waiting for a takeover
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
+const NODE_URL = process.env.NODE_URL || null;
+const HEARTBEAT_MS = 10 * 1000;
+const NODE_TIMEOUT_MS = 3 * HEARTBEAT_MS;
+
+// Each game is coordinated (timers, phase deadlines, audio) by exactly one node: its owner
+const ownsGame = (game) => game.ownerNode === NODE_ID;
+
+const heartbeat = () =>
+  ClusterNode.updateOne({ nodeId: NODE_ID }, { url: NODE_URL, heartbeatAt: new Date() }, { upsert: true });
+
+const liveNodeIds = async () => {
+  const nodes = await ClusterNode.find({ heartbeatAt: { $gte: new Date(Date.now() - NODE_TIMEOUT_MS) } });
+  return nodes.map((node) => node.nodeId);
+};
+
+// Public URL of the node that owns a game, null when unknown (e.g. a single node without NODE_URL)
+const ownerUrl = async (game) => {
+  if (!game.ownerNode) return null;
+  return (await ClusterNode.findOne({ nodeId: game.ownerNode }))?.url || null;
+};
+
+// Take over games whose owner stopped heartbeating (or that never had one); returns their gameIds.
+// Finished games are claimed too so some node's sweeper still archives them. A standalone node is the only
+// one there is, so it claims every game at once, e.g. from its own previous process after a restart
+const claimOrphanedGames = async (standalone) => {
+  const live = standalone ? [NODE_ID] : await liveNodeIds();
+  const orphaned = await Game.find({ ownerNode: { $nin: live } }, 'gameId ownerNode');
+  const claimed = [];
+  for (const { gameId, ownerNode } of orphaned) {
+    // Conditional on the previous owner so two nodes can never both take the same game
+    const result = await Game.updateOne({ gameId, ownerNode }, { $set: { ownerNode: NODE_ID } });
+    if (result.modifiedCount === 1) claimed.push(gameId);
+  }
+  return claimed;
+};
+
+// Heartbeat and orphan takeover loop; onClaimed receives the gameIds this node just became owner of.
+// Pass standalone when no adapter links this node to others (owner tasks could not reach another owner anyway)
+const startCluster = async ({ onClaimed, standalone = false }) => {
+  const tick = async () => {
+    try {
+      await heartbeat();
+      const claimed = await claimOrphanedGames(standalone);
+      if (claimed.length > 0) {
+        console.log(`Node ${NODE_ID} took over ${claimed.length} game(s)`);
+        await onClaimed(claimed);
+      }
+    } catch (err) {
+      console.error('Cluster heartbeat error:', err.message);
+    }
+  };
+  await tick();
+  setInterval(tick, HEARTBEAT_MS).unref();
+};
+
+module.exports = { NODE_ID, ownsGame, ownerUrl, startCluster };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Recording = require('../models/recording.model');
+const { NODE_ID } = require('./cluster');
+const { recording: settings } = require('../config/config');
+
+const RECORDINGS_DIR = path.resolve(settings.dir);
+const FFMPEG_PATH = settings.ffmpegPath;
+const LISTEN_IP = settings.listenIp;
+const RECORDING_MIN_PORT = settings.minPort;
+const RECORDING_MAX_PORT = settings.maxPort;
+const FFMPEG_STARTUP_MS = 1000; // Media is held back until ffmpeg has had time to bind its ports
+const FFMPEG_STOP_MS = 5000; // ffmpeg gets this long to finish the file after SIGINT
+
+// Local (RTP, RTCP) port pairs handed to ffmpeg, tracked by their even RTP port
+const portsInUse = new Set();
+let nextPort = RECORDING_MIN_PORT;
+
+const takePort = () => {
+  for (let tries = 0; tries < (RECORDING_MAX_PORT - RECORDING_MIN_PORT + 1) / 2; tries++) {
+    const port = nextPort;
+    nextPort = port + 3 > RECORDING_MAX_PORT ? RECORDING_MIN_PORT : port + 2;
+    if (!portsInUse.has(port)) {
+      portsInUse.add(port);
+      return port;
+    }
+  }
+  throw new Error('No free recording ports');
+};
+
+const sdpFor = (port, codec) =>
+  [
+    'v=0',
+    `o=- 0 0 IN IP4 ${LISTEN_IP}`,
+    's=Mafia day discussion',
+    `c=IN IP4 ${LISTEN_IP}`,
+    't=0 0',
+    `m=audio ${port} RTP/AVP ${codec.payloadType}`,
+    `a=rtpmap:${codec.payloadType} opus/${codec.clockRate}/${codec.channels}`,
+    'a=recvonly',
+    '',
+  ].join('\n');
+
+// Record one producer: a PlainTransport consumer sends its Opus RTP to an ffmpeg process that copies it into an
+// Ogg file under RECORDINGS_DIR/<gameId>. Resolves to a handle for stopRecorder
+const startRecorder = async (router, { gameId, day, producerId, playerId, playerName }) => {
+  const port = takePort();
+  let transport;
+  try {
+    transport = await router.createPlainTransport({ listenIp: { ip: LISTEN_IP }, rtcpMux: false, comedia: false });
+    await transport.connect({ ip: LISTEN_IP, port, rtcpPort: port + 1 });
+    const consumer = await transport.consume({ producerId, rtpCapabilities: router.rtpCapabilities, paused: true });
+
+    const dir = path.join(RECORDINGS_DIR, gameId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `day-${day}-${playerId}-${Date.now()}.ogg`);
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-loglevel', 'error', '-protocol_whitelist', 'pipe,udp,rtp', '-f', 'sdp', '-i', 'pipe:0',
+      '-map', '0:a:0', '-c:a', 'copy', '-y', file,
+    ]);
+    ffmpeg.on('error', (err) => console.error('Recorder error:', err.message));
+    ffmpeg.stdin.on('error', () => {}); // ffmpeg exiting before it reads the SDP is reported through 'error' above
+    ffmpeg.stderr.on('data', (data) => console.error(`Recorder ${path.basename(file)}:`, data.toString().trim()));
+    ffmpeg.stdin.end(sdpFor(port, consumer.rtpParameters.codecs[0]));
+
+    const recording = await Recording.create({ gameId, day, playerId, playerName, node: NODE_ID, file });
+    setTimeout(() => consumer.resume().catch(() => {}), FFMPEG_STARTUP_MS);
+    return { transport, ffmpeg, port, file, recordingId: recording._id };
+  } catch (err) {
+    if (transport) transport.close();
+    portsInUse.delete(port);
+    throw err;
+  }
+};
+
+// Stop the media, let ffmpeg finish the file and store its size
+const stopRecorder = async ({ transport, ffmpeg, port, file, recordingId }) => {
+  transport.close();
+  await new Promise((resolve) => {
+    if (ffmpeg.exitCode !== null || ffmpeg.signalCode !== null) return resolve();
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      resolve();
+    }, FFMPEG_STOP_MS);
+    ffmpeg.once('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    ffmpeg.kill('SIGINT');
+  });
+  portsInUse.delete(port);
+  const bytes = await fs.promises.stat(file).then((stats) => stats.size, () => null);
+  await Recording.updateOne({ _id: recordingId }, { endedAt: new Date(), bytes });
+};
+
+// Delete the recordings this node made of a game, files and entries alike; those made elsewhere stay listed
+// along with their files. Returns how many were removed
+const removeRecordings = async (gameId) => {
+  const recordings = await Recording.find({ gameId, node: NODE_ID });
+  await Promise.all(recordings.map(({ file }) => fs.promises.rm(file, { force: true })));
+  await fs.promises.rm(path.join(RECORDINGS_DIR, gameId), { recursive: true, force: true });
+  return (await Recording.deleteMany({ gameId, node: NODE_ID })).deletedCount || 0;
+};
+
+module.exports = { startRecorder, stopRecorder, removeRecordings };
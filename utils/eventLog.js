@@ -0,0 +1,71 @@
+const { NO_LYNCH_VOTE } = require('./voting');
+
+// Append an event to the game's ordered log; it is persisted by the caller's next game.save()
+const recordEvent = (game, type, { actor = null, target = null, data } = {}) => {
+  game.events.push({
+    type,
+    phase: game.currentPhase,
+    actor,
+    target: target === NO_LYNCH_VOTE ? null : target,
+    data,
+    at: new Date(),
+  });
+};
+
+const findPlayer = (state, name) => state.players.find((p) => p.name === name);
+const removePlayer = (state, name) => {
+  state.players = state.players.filter((p) => p.name !== name);
+};
+
+// How each event type changes the replayed state; types without a reducer (e.g. settingsUpdated) are informational
+const reducers = {
+  playerJoined: (state, e) => state.players.push({ name: e.actor, role: 'unassigned', isAlive: true, isReady: false }),
+  playerLeft: (state, e) => removePlayer(state, e.actor),
+  playerKicked: (state, e) => removePlayer(state, e.target),
+  playerReady: (state, e) => { findPlayer(state, e.actor).isReady = true; },
+  playerUnready: (state, e) => { findPlayer(state, e.actor).isReady = false; },
+  rolesDealt: (state, e) => e.data.roles.forEach(({ name, role }) => { findPlayer(state, name).role = role; }),
+  phaseChanged: (state, e) => { state.phase = e.data.phase; },
+  mafiaVote: (state, e) => { state.mafiaVotes[e.actor] = e.target; },
+  mafiaTargetChosen: (state, e) => { state.mafiaTarget = e.target; },
+  nightAction: (state, e) => { state.nightActions[e.actor] = e.target; },
+  nightResult: (state) => {
+    state.mafiaVotes = {};
+    state.mafiaTarget = null;
+    state.nightActions = {};
+  },
+  dayVote: (state, e) => { state.votes[e.actor] = e.target; },
+  dayRunoff: (state, e) => {
+    state.votes = {};
+    state.runoffCandidates = e.data.candidates;
+  },
+  dayVoteResult: (state) => {
+    state.votes = {};
+    state.runoffCandidates = [];
+  },
+  playerEliminated: (state, e) => { findPlayer(state, e.target).isAlive = false; },
+  gameOver: (state, e) => {
+    state.phase = 'finished';
+    state.winner = e.data.winner;
+    state.endReason = e.data.reason;
+  },
+};
+
+// Rebuild the game state as it was right after the event at `index`
+const replayEvents = (events, index) => {
+  const state = {
+    phase: 'waiting',
+    players: [],
+    votes: {},
+    runoffCandidates: [],
+    mafiaVotes: {},
+    mafiaTarget: null,
+    nightActions: {},
+    winner: null,
+    endReason: null,
+  };
+  events.slice(0, index + 1).forEach((event) => reducers[event.type]?.(state, event));
+  return state;
+};
+
+module.exports = { recordEvent, replayEvents };
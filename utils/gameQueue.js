@@ -0,0 +1,19 @@
+// Per-game command queue: every state change for one game runs to completion before the next starts,
+// so concurrent requests can neither overwrite each other's writes nor resolve a phase twice
+const queues = new Map();
+
+const runExclusive = (gameId, task) => {
+  const tail = queues.get(gameId) || Promise.resolve();
+  const result = tail.then(() => task());
+  const settled = result.catch(() => {});
+  queues.set(gameId, settled);
+  settled.then(() => {
+    if (queues.get(gameId) === settled) queues.delete(gameId);
+  });
+  return result;
+};
+
+// Wrap an Express handler for a /:id route so it runs inside that game's queue
+const serializeByGame = (handler) => (req, res, next) => runExclusive(req.params.id, () => handler(req, res, next));
+
+module.exports = { runExclusive, serializeByGame };
@@ -0,0 +1,143 @@
+const Game = require('../models/game.model');
+const ArchivedGame = require('../models/archivedGame.model');
+const ChatMessage = require('../models/chatMessage.model');
+const { runExclusive } = require('./gameQueue');
+const { clearPhaseTimer } = require('./phaseTimers');
+const { clearReconnectTimer } = require('./reconnectTimers');
+const { NODE_ID } = require('./cluster');
+const { removeRecordings } = require('./dayRecorder');
+
+const minutesFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const actionFromEnv = (name, fallback) => (['archive', 'remove'].includes(process.env[name]) ? process.env[name] : fallback);
+
+// How long a game may sit untouched in each state, and whether it is archived or removed outright.
+// Finished games count from their last save; lobbies and in-progress games from the last thing a player did, and
+// only once none of their players is connected
+const RETENTION = {
+  waiting: {
+    minutes: minutesFromEnv('SWEEP_WAITING_MINUTES', 60),
+    action: actionFromEnv('SWEEP_WAITING_ACTION', 'remove'),
+  },
+  inProgress: {
+    minutes: minutesFromEnv('SWEEP_IN_PROGRESS_MINUTES', 180),
+    action: actionFromEnv('SWEEP_IN_PROGRESS_ACTION', 'archive'),
+  },
+  finished: {
+    minutes: minutesFromEnv('SWEEP_FINISHED_MINUTES', 24 * 60),
+    action: actionFromEnv('SWEEP_FINISHED_ACTION', 'archive'),
+  },
+};
+const SWEEP_INTERVAL_MINUTES = minutesFromEnv('SWEEP_INTERVAL_MINUTES', 10);
+
+const emptyReport = () => ({
+  archived: 0,
+  removed: 0,
+  chatMessages: 0,
+  recordings: 0,
+  audioRooms: 0,
+  transports: 0,
+  producers: 0,
+  consumers: 0,
+});
+
+const addCounts = (report, counts = {}) => {
+  Object.entries(counts).forEach(([key, count]) => {
+    report[key] = (report[key] || 0) + count;
+  });
+};
+
+// Events the server records about a player without them doing anything
+const PASSIVE_EVENTS = ['playerAbsent'];
+
+// Phase timers keep saving a game everyone has left, so updatedAt says nothing about whether anyone is playing
+const lastActivity = (game) =>
+  game.events.findLast((e) => e.actor && !PASSIVE_EVENTS.includes(e.type))?.at || game.createdAt;
+
+// The candidate query for one state, matching what isStale checks
+const staleQuery = (state, cutoff) => {
+  if (state === 'finished') return { updatedAt: { $lt: cutoff } };
+  const recentActivity = { actor: { $ne: null }, type: { $nin: PASSIVE_EVENTS }, at: { $gte: cutoff } };
+  return { createdAt: { $lt: cutoff }, events: { $not: { $elemMatch: recentActivity } } };
+};
+
+// isSocketConnected may be async so a clustered server can ask every node
+const isStale = async (game, cutoff, isSocketConnected) => {
+  if (game.state === 'finished') return game.updatedAt < cutoff;
+  if (lastActivity(game) >= cutoff) return false;
+  const connected = await Promise.all(game.players.filter((p) => p.socketId).map((p) => isSocketConnected(p.socketId)));
+  return !connected.includes(true);
+};
+
+const archive = (game) =>
+  ArchivedGame.create({
+    gameId: game.gameId,
+    state: game.state,
+    winner: game.winner,
+    endReason: game.endReason,
+    players: game.players.map(({ name, role, isAlive }) => ({ name, role, isAlive })),
+    settings: game.toJSON().settings,
+    events: game.toJSON().events,
+    createdAt: game.createdAt,
+  });
+
+// One pass over every state's retention window for the games this node owns, plus audio rooms whose game is
+// gone or idle. audio is supplied by the media layer: { gameIds(), isIdle(gameId), close(gameId) -> counts }
+const sweepGames = async ({ io, audio, isSocketConnected }) => {
+  const report = emptyReport();
+
+  for (const [state, { minutes, action }] of Object.entries(RETENTION)) {
+    const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+    const candidates = await Game.find({ state, ownerNode: NODE_ID, ...staleQuery(state, cutoff) });
+
+    for (const { gameId } of candidates) {
+      await runExclusive(gameId, async () => {
+        // Re-check inside the queue in case the game was touched since the query
+        const game = await Game.findOne({ gameId });
+        if (!game || game.state !== state || !(await isStale(game, cutoff, isSocketConnected))) return;
+
+        if (action === 'archive') {
+          await archive(game);
+          report.archived += 1;
+        } else {
+          report.removed += 1;
+        }
+        await Game.deleteOne({ _id: game._id });
+        report.chatMessages += (await ChatMessage.deleteMany({ gameId })).deletedCount || 0;
+        report.recordings += await removeRecordings(gameId);
+        clearPhaseTimer(gameId);
+        game.players.forEach((p) => clearReconnectTimer(gameId, p._id.toString()));
+        addCounts(report, audio.close(gameId));
+        io.to(gameId).emit('gameExpired', { gameId });
+      });
+    }
+  }
+
+  // Rooms leak when the last socket never disconnects cleanly; drop any without a live game behind them
+  for (const gameId of audio.gameIds()) {
+    const game = await Game.findOne({ gameId });
+    if (!game || game.state !== 'inProgress' || audio.isIdle(gameId)) addCounts(report, audio.close(gameId));
+  }
+
+  return report;
+};
+
+// Run the sweep on an interval, logging what each run cleaned up
+const startGameSweeper = (options) => {
+  const run = async () => {
+    try {
+      const report = await sweepGames(options);
+      console.log('Game sweeper:', JSON.stringify(report));
+    } catch (err) {
+      console.error('GameSweeper error:', err.message);
+    }
+  };
+  const timer = setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { RETENTION, sweepGames, startGameSweeper };
@@ -0,0 +1,93 @@
+const { isMafia } = require('./roles');
+
+// Top-level Game fields that are safe for everyone; anything else stays server-side
+const PUBLIC_FIELDS = [
+  '_id', 'gameId', 'state', 'currentPhase', 'maxPlayers', 'settings', 'hostId', 'isLocked', 'lastKilled',
+  'runoffCandidates', 'phaseDurations', 'phaseDeadline', 'winner', 'endReason',
+];
+
+// Build the game state as seen by one viewer (a player subdocument, or null for the public view).
+// Spectators get the public view unless the game lets them see every role.
+const buildGameView = (game, viewer = null, { spectator = false } = {}) => {
+  const data = typeof game.toJSON === 'function' ? game.toJSON() : game;
+  const viewerId = viewer && !spectator ? viewer._id.toString() : null;
+  const viewerIsMafia = Boolean(viewerId) && isMafia(viewer);
+  const revealAll = data.state === 'finished' || (spectator && data.settings?.spectatorsSeeRoles === true);
+
+  const view = {};
+  PUBLIC_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) view[field] = data[field];
+  });
+
+  // With hidden votes each viewer only sees their own until the vote resolves
+  const votes = data.votes || {};
+  view.votes = data.settings?.revealVotes === false
+    ? Object.fromEntries(Object.entries(votes).filter(([voterName]) => viewerId && voterName === viewer.name))
+    : votes;
+  view.votesCast = Object.keys(votes).length;
+
+  view.players = data.players.map((p) => {
+    const isSelf = p._id.toString() === viewerId;
+    const canSeeRole = revealAll || isSelf || p.role === 'unassigned' || (viewerIsMafia && isMafia(p));
+    return {
+      _id: p._id,
+      name: p.name,
+      role: canSeeRole ? p.role : 'hidden',
+      isAlive: p.isAlive,
+      isReady: p.isReady,
+      isConnected: Boolean(p.socketId),
+      isAbsent: Boolean(p.isAbsent),
+      isMuted: Boolean(p.isMuted),
+    };
+  });
+
+  // Seated players can pass the invite code on to friends
+  if (viewerId) view.inviteCode = data.inviteCode;
+
+  view.spectators = (data.spectators || []).map((s) => ({ _id: s._id, name: s.name, isConnected: Boolean(s.socketId) }));
+
+  return view;
+};
+
+// Compact listing for the lobby browser: counts and the settings that shape the game, nothing per player
+const buildLobbySummary = (game) => {
+  const host = game.hostId && game.players.find((p) => game.hostId.equals(p._id));
+  const { preset, roleCounts, minPlayers, revealVotes, tieBreak, recordDays } = game.settings;
+  return {
+    gameId: game.gameId,
+    state: game.state,
+    playerCount: game.players.length,
+    maxPlayers: game.maxPlayers,
+    isLocked: game.isLocked,
+    host: host ? host.name : null,
+    settings: {
+      preset,
+      customRoles: Boolean(roleCounts && roleCounts.size > 0),
+      minPlayers,
+      revealVotes,
+      tieBreak,
+      recordDays,
+    },
+    createdAt: game.createdAt,
+  };
+};
+
+// Emit an event carrying the game state, giving each connected player and spectator their own view
+const emitGameUpdate = (io, game, event = 'gameUpdated') => {
+  const connected = game.players.filter((p) => p.socketId);
+  connected.forEach((player) => {
+    io.to(player.socketId).emit(event, buildGameView(game, player));
+  });
+
+  const spectators = (game.spectators || []).filter((s) => s.socketId);
+  spectators.forEach((spectator) => {
+    io.to(spectator.socketId).emit(event, buildGameView(game, spectator, { spectator: true }));
+  });
+
+  // Sockets in the room that are not seated only get the public view
+  io.to(game.gameId)
+    .except([...connected, ...spectators].map((entry) => entry.socketId))
+    .emit(event, buildGameView(game));
+};
+
+module.exports = { buildGameView, buildLobbySummary, emitGameUpdate };
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+const { ice } = require('../config/config');
+
+// TURN REST API credentials (coturn's use-auth-secret): the username carries the expiry time, and the password is
+// an HMAC of it under the secret shared with the TURN server, so nothing long-lived ever reaches a client
+const turnCredentials = (label) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ice.turnTtlSeconds;
+  const username = `${expiresAt}:${label}`;
+  const credential = crypto.createHmac('sha1', ice.turnSecret).update(username).digest('base64');
+  return { username, credential };
+};
+
+// ICE servers for one client transport, with TURN credentials issued for that transport only
+const iceServersFor = (transportId) => {
+  const servers = ice.stunUrls.map((urls) => ({ urls }));
+  if (ice.turnUrls.length > 0) servers.push({ urls: ice.turnUrls, ...turnCredentials(transportId) });
+  return servers;
+};
+
+module.exports = { iceServersFor };
@@ -0,0 +1,52 @@
+const mediasoup = require('mediasoup');
+const config = require('../config/config');
+
+const MEDIA_CODECS = [{ kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 }];
+// The config makes sure every worker's slice of the port range fits a full lobby
+const { rtcMinPort: RTC_MIN_PORT, rtcMaxPort: RTC_MAX_PORT, workers: WORKER_COUNT } = config.mediasoup;
+
+// One slot per worker; a slot's worker is null while it restarts after dying
+const slots = [];
+let poolReady = null;
+
+// Workers get their own slice of the RTC port range so they never compete for the same ports
+const portRange = (index) => {
+  const size = Math.floor((RTC_MAX_PORT - RTC_MIN_PORT + 1) / WORKER_COUNT);
+  const rtcMinPort = RTC_MIN_PORT + index * size;
+  return { rtcMinPort, rtcMaxPort: rtcMinPort + size - 1 };
+};
+
+const startWorker = async (index) => {
+  const worker = await mediasoup.createWorker({ logLevel: 'warn', ...portRange(index) });
+  slots[index] = { worker, routers: new Set() };
+  // A dead worker closes its routers (each emits 'workerclose' to its game); only the slot itself is replaced
+  worker.on('died', (err) => {
+    console.error(`Mediasoup worker ${worker.pid} died (${err?.message}), restarting it`);
+    slots[index] = { worker: null, routers: new Set(), ready: startWorker(index) };
+    slots[index].ready.catch((restartErr) => console.error('Mediasoup worker restart error:', restartErr.message));
+  });
+  return worker;
+};
+
+const startWorkerPool = () => {
+  poolReady = poolReady || Promise.all(Array.from({ length: WORKER_COUNT }, (_, index) => startWorker(index)));
+  return poolReady;
+};
+
+// New router for a game's audio on the live worker hosting the fewest routers.
+// Waits for the pool, so callers can never race worker startup
+const createGameRouter = async (gameId) => {
+  await startWorkerPool();
+  let live = slots.filter((slot) => slot.worker);
+  if (live.length === 0) {
+    await Promise.race(slots.map((slot) => slot.ready));
+    live = slots.filter((slot) => slot.worker);
+  }
+  const slot = live.reduce((least, candidate) => (candidate.routers.size < least.routers.size ? candidate : least));
+  const router = await slot.worker.createRouter({ mediaCodecs: MEDIA_CODECS, appData: { gameId } });
+  slot.routers.add(router);
+  router.observer.on('close', () => slot.routers.delete(router));
+  return router;
+};
+
+module.exports = { WORKER_COUNT, startWorkerPool, createGameRouter };
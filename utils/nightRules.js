@@ -0,0 +1,45 @@
+const { isMafia } = require('./roles');
+const { summarizeNights } = require('./notebook');
+
+// Rule violations carry a stable code for clients alongside the human-readable message
+const violation = (code, msg) => ({ code, msg });
+
+const countSelfSaves = (game, actor) =>
+  game.events.filter((e) => e.type === 'nightAction' && e.data?.type === 'protect' && e.actor === actor.name && e.target === actor.name)
+    .length;
+
+// Who the actor protected or guarded in the last resolved night, if anyone
+const lastProtected = (game, actor) => {
+  const lastNight = summarizeNights(game.events).filter((night) => night.resolved).pop();
+  return lastNight?.actions.find((a) => a.actor === actor.name)?.target || null;
+};
+
+// Check a night action's target against the game's rules; returns { code, msg } or null when it is allowed.
+// type is the role's nightAction type; shared marks the Mafia's team vote
+const checkNightTarget = (game, actor, { type, shared = false }, target) => {
+  const { settings } = game;
+  if (!target || !target.isAlive) return violation('INVALID_TARGET', 'Target must be a living player in this game');
+
+  if (shared) {
+    if (isMafia(target) && !settings.mafiaCanTargetTeammates) {
+      return violation('MAFIA_TEAMMATE', 'The Mafia cannot target one of their own in this game');
+    }
+    return null;
+  }
+
+  if (target === actor && ['kill', 'investigate'].includes(type)) {
+    return violation('SELF_TARGET', 'You cannot target yourself');
+  }
+  if (type === 'protect' && target === actor) {
+    if (!settings.doctorSelfSave) return violation('SELF_SAVE_DISABLED', 'Self-saves are disabled in this game');
+    if (settings.maxSelfSaves != null && countSelfSaves(game, actor) >= settings.maxSelfSaves) {
+      return violation('SELF_SAVE_LIMIT', `You can only save yourself ${settings.maxSelfSaves} time(s) per game`);
+    }
+  }
+  if (['protect', 'guard'].includes(type) && !settings.allowRepeatProtect && lastProtected(game, actor) === target.name) {
+    return violation('REPEAT_PROTECT', `You protected ${target.name} last night; choose someone else`);
+  }
+  return null;
+};
+
+module.exports = { checkNightTarget };
@@ -0,0 +1,60 @@
+const { NIGHT_PHASES, getRole, isMafia } = require('./roles');
+
+// Split the event log into nights: final Mafia votes and target, each individual action and who died.
+// Actions are annotated with their outcome once the night resolves (saved for protect/guard, killed for kills)
+const summarizeNights = (events) => {
+  const nights = [];
+  let current = null;
+  const ensureNight = () => {
+    if (!current) {
+      current = { night: nights.length + 1, mafiaVotes: {}, mafiaTarget: null, actions: [], killed: [], resolved: false };
+      nights.push(current);
+    }
+    return current;
+  };
+
+  events.forEach((e) => {
+    if (e.type === 'phaseChanged') {
+      if (NIGHT_PHASES.includes(e.data.phase)) ensureNight();
+    } else if (e.type === 'mafiaVote') {
+      ensureNight().mafiaVotes[e.actor] = e.target;
+    } else if (e.type === 'mafiaTargetChosen') {
+      ensureNight().mafiaTarget = e.target;
+    } else if (e.type === 'nightAction') {
+      const { role, type, result } = e.data;
+      ensureNight().actions.push({ actor: e.actor, role, type, target: e.target, ...(result !== undefined && { result }) });
+    } else if (e.type === 'nightResult') {
+      const night = ensureNight();
+      night.killed = e.data.killed;
+      night.resolved = true;
+      const attacked = new Set([night.mafiaTarget, ...night.actions.filter((a) => a.type === 'kill').map((a) => a.target)]);
+      night.actions.forEach((action) => {
+        if (action.type === 'kill') action.killed = night.killed.includes(action.target);
+        if (['protect', 'guard'].includes(action.type)) {
+          action.saved = attacked.has(action.target) && !night.killed.includes(action.target);
+        }
+      });
+      current = null;
+    }
+  });
+  return nights;
+};
+
+// One player's private record: their own action each night, plus the team's kill for Mafia members
+const buildNotebook = (game, player) => {
+  const mafia = isMafia(player);
+  const nights = summarizeNights(game.events)
+    .map(({ night, mafiaVotes, mafiaTarget, actions, killed }) => ({
+      night,
+      action: actions.find((a) => a.actor === player.name) || null,
+      ...(mafia && {
+        mafia: { votes: mafiaVotes, target: mafiaTarget, killed: Boolean(mafiaTarget) && killed.includes(mafiaTarget) },
+      }),
+      killed,
+    }))
+    .filter((entry) => entry.action || entry.mafia);
+
+  return { name: player.name, role: player.role, team: getRole(player.role)?.team || null, nights };
+};
+
+module.exports = { summarizeNights, buildNotebook };
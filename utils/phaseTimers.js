@@ -0,0 +1,19 @@
+// In-memory phase deadline timers, one per game; the deadline itself lives on the Game document
+const timers = new Map();
+
+const clearPhaseTimer = (gameId) => {
+  clearTimeout(timers.get(gameId));
+  timers.delete(gameId);
+};
+
+const schedulePhaseTimer = (gameId, deadline, onExpire) => {
+  clearPhaseTimer(gameId);
+  const delay = Math.max(0, new Date(deadline).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    timers.delete(gameId);
+    onExpire();
+  }, delay);
+  timers.set(gameId, timer);
+};
+
+module.exports = { schedulePhaseTimer, clearPhaseTimer };
@@ -0,0 +1,67 @@
+const Account = require('../models/account.model');
+const { getRole, isMafia } = require('./roles');
+
+// A player won when their own role's win condition names the same winner as the one that ended the game
+const playerWon = (game, player, result, context) =>
+  getRole(player.role)?.winCondition(game, context)?.winner === result.winner;
+
+// Final day votes per voting round that named a Mafia member, keyed by voter name
+const countVotesAgainstMafia = (game) => {
+  const mafiaNames = new Set(game.players.filter(isMafia).map((p) => p.name));
+  const counts = {};
+  let roundVotes = {};
+  game.events.forEach((e) => {
+    if (e.type === 'dayVote') {
+      roundVotes[e.actor] = e.target;
+    } else if (e.type === 'dayRunoff' || e.type === 'dayVoteResult') {
+      // A runoff or result closes the round, so only each voter's last choice counts
+      Object.entries(roundVotes).forEach(([voter, target]) => {
+        if (mafiaNames.has(target)) counts[voter] = (counts[voter] || 0) + 1;
+      });
+      roundVotes = {};
+    }
+  });
+  return counts;
+};
+
+// Update every linked account once the game is decided; failures are logged, never thrown into game flow
+const recordGameStats = async (game, result, context = {}) => {
+  try {
+    const votesAgainstMafia = countVotesAgainstMafia(game);
+    const updates = game.players
+      .filter((p) => p.accountId)
+      .map((player) => {
+        const inc = {
+          'stats.gamesPlayed': 1,
+          'stats.gamesSurvived': player.isAlive ? 1 : 0,
+          'stats.votesAgainstMafia': votesAgainstMafia[player.name] || 0,
+        };
+        if (playerWon(game, player, result, context)) {
+          inc['stats.wins'] = 1;
+          inc[`stats.winsByTeam.${getRole(player.role).team}`] = 1;
+          inc[`stats.winsByRole.${player.role}`] = 1;
+        }
+        return { updateOne: { filter: { _id: player.accountId }, update: { $inc: inc } } };
+      });
+    if (updates.length > 0) await Account.bulkWrite(updates);
+  } catch (err) {
+    console.error('RecordGameStats error:', err.message);
+  }
+};
+
+// Public stats with the derived rates filled in
+const summarizeStats = (account) => {
+  const stats = account.toJSON().stats;
+  const rate = (count) => (stats.gamesPlayed > 0 ? count / stats.gamesPlayed : 0);
+  return {
+    accountId: account._id.toString(),
+    username: account.username,
+    ...stats,
+    winRate: rate(stats.wins),
+    survivalRate: rate(stats.gamesSurvived),
+  };
+};
+
+const LEADERBOARD_SORTS = ['wins', 'gamesPlayed', 'votesAgainstMafia', 'gamesSurvived'];
+
+module.exports = { recordGameStats, summarizeStats, LEADERBOARD_SORTS };
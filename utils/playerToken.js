@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Tokens must survive restarts, so production deployments are expected to set PLAYER_TOKEN_SECRET.
+// Every node of a cluster must share it; the redis adapter refuses to start without it
+const secret = process.env.PLAYER_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.PLAYER_TOKEN_SECRET) {
+  console.warn('PLAYER_TOKEN_SECRET not set, player tokens will not survive a restart');
+}
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+const issue = (claims) => {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// Issue a token binding a client to one PlayerSchema entry of one game
+const issuePlayerToken = (gameId, playerId) => issue({ g: gameId, p: playerId.toString() });
+
+// Issue a token binding a client to one spectator entry of one game
+const issueSpectatorToken = (gameId, spectatorId) => issue({ g: gameId, s: spectatorId.toString() });
+
+// Issue a token for a player account, valid across games
+const issueAccountToken = (accountId) => issue({ a: accountId.toString() });
+
+// Returns { gameId, playerId }, { gameId, spectatorId } or { accountId } for a valid token, null otherwise
+const verifyPlayerToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { g, p, s, a } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (a) return { accountId: a };
+    return s ? { gameId: g, spectatorId: s } : { gameId: g, playerId: p };
+  } catch {
+    return null;
+  }
+};
+
+module.exports = { issuePlayerToken, issueSpectatorToken, issueAccountToken, verifyPlayerToken };
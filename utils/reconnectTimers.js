@@ -0,0 +1,23 @@
+// In-memory reconnect grace timers, one per disconnected player; the disconnect time lives on the player entry
+const timers = new Map();
+
+const keyFor = (gameId, playerId) => `${gameId}:${playerId}`;
+
+const clearReconnectTimer = (gameId, playerId) => {
+  const key = keyFor(gameId, playerId);
+  clearTimeout(timers.get(key));
+  timers.delete(key);
+};
+
+const scheduleReconnectTimer = (gameId, playerId, deadline, onExpire) => {
+  clearReconnectTimer(gameId, playerId);
+  const key = keyFor(gameId, playerId);
+  const delay = Math.max(0, new Date(deadline).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    timers.delete(key);
+    onExpire();
+  }, delay);
+  timers.set(key, timer);
+};
+
+module.exports = { scheduleReconnectTimer, clearReconnectTimer };
@@ -0,0 +1,59 @@
+const { TEAMS, getRole } = require('./roles');
+
+// Named presets map a player count to role counts; Villagers always fill the remaining seats
+const PRESETS = {
+  classic: (playerCount) => {
+    const mafiaCount = Math.floor(playerCount / 3);
+    const godfatherCount = mafiaCount > 1 ? 1 : 0;
+    return { Mafia: mafiaCount - godfatherCount, Godfather: godfatherCount, Detective: 1, Doctor: 1 };
+  },
+  chaos: (playerCount) => ({
+    ...PRESETS.classic(playerCount),
+    Jester: playerCount >= 7 ? 1 : 0,
+    SerialKiller: playerCount >= 8 ? 1 : 0,
+    Bodyguard: playerCount >= 9 ? 1 : 0,
+    Sheriff: playerCount >= 10 ? 1 : 0,
+  }),
+};
+
+const PRESET_NAMES = Object.keys(PRESETS);
+
+// Role counts for a game's settings, explicit roleCounts winning over the preset
+const resolveRoleCounts = (settings, playerCount) => {
+  const custom = settings.roleCounts && Object.fromEntries(settings.roleCounts);
+  if (custom && Object.keys(custom).length > 0) return custom;
+  return PRESETS[settings.preset](playerCount);
+};
+
+// Returns a message describing why the setup cannot be dealt, or null when it is valid
+const validateRoleSetup = (settings, playerCount) => {
+  if (playerCount < settings.minPlayers) return `At least ${settings.minPlayers} players are required`;
+
+  const counts = resolveRoleCounts(settings, playerCount);
+  const unknown = Object.keys(counts).filter((role) => !getRole(role));
+  if (unknown.length > 0) return `Unknown role(s): ${unknown.join(', ')}`;
+  if (Object.values(counts).some((count) => !Number.isInteger(count) || count < 0)) {
+    return 'Role counts must be whole numbers of zero or more';
+  }
+
+  const dealt = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (dealt > playerCount) return `The setup needs ${dealt} players but only ${playerCount} joined`;
+
+  const countTeam = (team) =>
+    Object.entries(counts).reduce((sum, [role, count]) => (getRole(role).team === team ? sum + count : sum), 0);
+  const mafiaCount = countTeam(TEAMS.MAFIA);
+  const townCount = countTeam(TEAMS.TOWN) + (playerCount - dealt); // Remaining seats are Villagers
+  if (mafiaCount === 0) return 'The setup needs at least one Mafia role';
+  if (mafiaCount >= townCount) return 'The Mafia would win immediately with this setup';
+
+  return null;
+};
+
+// Full list of roles to deal, one per player
+const buildRoleList = (settings, playerCount) => {
+  const counts = resolveRoleCounts(settings, playerCount);
+  const roles = Object.entries(counts).flatMap(([role, count]) => Array(count).fill(role));
+  return [...roles, ...Array(playerCount - roles.length).fill('Villager')];
+};
+
+module.exports = { PRESET_NAMES, resolveRoleCounts, validateRoleSetup, buildRoleList };
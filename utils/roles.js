@@ -0,0 +1,152 @@
+// Role registry: every role declares its team, night action, investigation result and win condition.
+// Game flow code should ask this module instead of comparing role names.
+
+const TEAMS = { TOWN: 'Town', MAFIA: 'Mafia', NEUTRAL: 'Neutral' };
+
+const livingPlayers = (game) => game.players.filter((p) => p.isAlive);
+const livingOfTeam = (game, team) => livingPlayers(game).filter((p) => getRole(p.role)?.team === team);
+// Neutral roles that kill at night keep the game going until they are dealt with
+const livingNeutralKillers = (game) =>
+  livingOfTeam(game, TEAMS.NEUTRAL).filter((p) => getRole(p.role).nightAction?.type === 'kill');
+
+// Win conditions receive the game and the elimination that triggered the check ({ eliminated, cause })
+// and return { winner, reason } when they decide the game, null otherwise
+const townWins = (game) => {
+  if (livingOfTeam(game, TEAMS.MAFIA).length > 0 || livingNeutralKillers(game).length > 0) return null;
+  return { winner: 'Villagers', reason: 'All Mafia members have been eliminated' };
+};
+
+const mafiaWins = (game) => {
+  const livingMafia = livingOfTeam(game, TEAMS.MAFIA).length;
+  if (livingMafia === 0 || livingNeutralKillers(game).length > 0) return null;
+  if (livingMafia < livingOfTeam(game, TEAMS.TOWN).length) return null;
+  return { winner: 'Mafia', reason: 'The Mafia equal or outnumber the town' };
+};
+
+const jesterWins = (game, { eliminated = [], cause } = {}) => {
+  const lynchedJester = game.players.find((p) => p.role === 'Jester' && eliminated.includes(p.name));
+  if (cause !== 'vote' || !lynchedJester) return null;
+  return { winner: 'Jester', reason: `${lynchedJester.name} the Jester tricked the town into lynching them` };
+};
+
+const serialKillerWins = (game) => {
+  const living = livingPlayers(game);
+  const killer = living.find((p) => p.role === 'SerialKiller');
+  if (!killer || living.length > 2) return null;
+  return { winner: 'Serial Killer', reason: `${killer.name} the Serial Killer outlasted everyone` };
+};
+
+// Detective only learns Mafia or not; Sheriff learns the team a player appears to be on
+const detectiveReading = (targetRole) => (targetRole.investigationResult === TEAMS.MAFIA ? '+ve' : '-ve');
+const sheriffReading = (targetRole) => targetRole.investigationResult;
+
+// nightAction.order sets where the action's phase falls in the night; solo rules have lower
+// winPriority so they are checked before team rules
+const ROLES = {
+  Villager: { team: TEAMS.TOWN, nightAction: null, investigationResult: TEAMS.TOWN, winCondition: townWins },
+  Mafia: {
+    team: TEAMS.MAFIA,
+    nightAction: { phase: 'nightMafia', order: 10, type: 'kill', shared: true },
+    investigationResult: TEAMS.MAFIA,
+    winCondition: mafiaWins,
+  },
+  Godfather: {
+    team: TEAMS.MAFIA,
+    nightAction: { phase: 'nightMafia', order: 10, type: 'kill', shared: true },
+    investigationResult: TEAMS.TOWN, // Godfather appears as non-Mafia
+    winCondition: mafiaWins,
+    leader: true, // Breaks Mafia vote ties under the 'leader' policy
+  },
+  SerialKiller: {
+    team: TEAMS.NEUTRAL,
+    nightAction: { phase: 'nightSerialKiller', order: 20, type: 'kill' },
+    investigationResult: TEAMS.NEUTRAL,
+    winCondition: serialKillerWins,
+    winPriority: 0,
+  },
+  Detective: {
+    team: TEAMS.TOWN,
+    nightAction: { phase: 'nightDetective', order: 30, type: 'investigate', reading: detectiveReading },
+    investigationResult: TEAMS.TOWN,
+    winCondition: townWins,
+  },
+  Sheriff: {
+    team: TEAMS.TOWN,
+    nightAction: { phase: 'nightSheriff', order: 40, type: 'investigate', reading: sheriffReading },
+    investigationResult: TEAMS.TOWN,
+    winCondition: townWins,
+  },
+  Bodyguard: {
+    team: TEAMS.TOWN,
+    nightAction: { phase: 'nightBodyguard', order: 50, type: 'guard' },
+    investigationResult: TEAMS.TOWN,
+    winCondition: townWins,
+  },
+  Doctor: {
+    team: TEAMS.TOWN,
+    nightAction: { phase: 'nightDoctor', order: 60, type: 'protect' },
+    investigationResult: TEAMS.TOWN,
+    winCondition: townWins,
+  },
+  Jester: {
+    team: TEAMS.NEUTRAL,
+    nightAction: null,
+    investigationResult: TEAMS.NEUTRAL,
+    winCondition: jesterWins,
+    winPriority: 0,
+  },
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Every night phase any role can act in, in the order they run
+const NIGHT_PHASES = [
+  ...new Set(
+    Object.values(ROLES)
+      .filter((role) => role.nightAction)
+      .sort((a, b) => a.nightAction.order - b.nightAction.order)
+      .map((role) => role.nightAction.phase)
+  ),
+];
+
+function getRole(name) {
+  return ROLES[name] || null;
+}
+
+const isMafia = (player) => getRole(player.role)?.team === TEAMS.MAFIA;
+
+// Night phases for the roles dealt in this game, dead or alive
+const nightPhasesInPlay = (game) => {
+  const phases = new Set(game.players.map((p) => getRole(p.role)?.nightAction?.phase).filter(Boolean));
+  return NIGHT_PHASES.filter((phase) => phases.has(phase));
+};
+
+// Living players who act during the given night phase
+const actorsForPhase = (game, phase) =>
+  livingPlayers(game).filter((p) => getRole(p.role)?.nightAction?.phase === phase);
+
+// The living Mafia member who settles tied Mafia votes: a leader role if one is alive, else the earliest to join
+const mafiaLeader = (game) => {
+  const livingMafia = livingOfTeam(game, TEAMS.MAFIA);
+  return livingMafia.find((p) => getRole(p.role).leader) || livingMafia[0] || null;
+};
+
+// Distinct win conditions for the roles dealt in this game, solo roles first
+const winConditionsInPlay = (game) => {
+  const roles = [...new Set(game.players.map((p) => getRole(p.role)).filter(Boolean))];
+  roles.sort((a, b) => (a.winPriority ?? 1) - (b.winPriority ?? 1));
+  return [...new Set(roles.map((role) => role.winCondition))];
+};
+
+module.exports = {
+  TEAMS,
+  ROLES,
+  ROLE_NAMES,
+  NIGHT_PHASES,
+  getRole,
+  isMafia,
+  nightPhasesInPlay,
+  actorsForPhase,
+  mafiaLeader,
+  winConditionsInPlay,
+};
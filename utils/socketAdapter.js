@@ -0,0 +1,32 @@
+// Socket.IO adapters by name, chosen with SOCKET_ADAPTER. 'memory' is Socket.IO's built-in adapter: fine for a
+// single node and for tests. 'redis' relays broadcasts and server-side events between nodes through REDIS_URL
+const adapters = {
+  memory: async () => null,
+  redis: async () => {
+    if (!process.env.REDIS_URL) throw new Error('SOCKET_ADAPTER=redis requires REDIS_URL');
+    // Without one shared secret each node signs with its own random one and rejects every other node's tokens
+    if (!process.env.PLAYER_TOKEN_SECRET) throw new Error('SOCKET_ADAPTER=redis requires PLAYER_TOKEN_SECRET');
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+  },
+};
+
+// Plug in another adapter (e.g. a test double) under a name SOCKET_ADAPTER can select
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+const configureAdapter = async (io, name = process.env.SOCKET_ADAPTER || 'memory') => {
+  const factory = adapters[name];
+  if (!factory) throw new Error(`Unknown SOCKET_ADAPTER "${name}"`);
+  const adapter = await factory(io);
+  if (adapter) io.adapter(adapter);
+  console.log(`Socket.IO using the ${name} adapter`);
+  return name;
+};
+
+module.exports = { configureAdapter, registerAdapter };
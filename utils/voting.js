@@ -0,0 +1,28 @@
+// Stored as the vote value when a player explicitly votes for nobody; never a valid player name
+const NO_LYNCH_VOTE = '';
+
+// How a tie between the top-voted players is settled
+const DAY_TIE_BREAKS = ['noElimination', 'random', 'runoff'];
+const MAFIA_TIE_BREAKS = ['leader', 'random', 'noElimination'];
+
+// Count a votes Map (voter name -> target name) into per-target totals plus no-lynch votes
+const tallyVotes = (votes) => {
+  const tally = {};
+  let noLynch = 0;
+  votes.forEach((target) => {
+    if (target === NO_LYNCH_VOTE) noLynch++;
+    else tally[target] = (tally[target] || 0) + 1;
+  });
+  return { tally, noLynch };
+};
+
+// Names sharing the highest count, with that count
+const topCandidates = (tally) => {
+  const maxVotes = Math.max(0, ...Object.values(tally));
+  const candidates = Object.keys(tally).filter((name) => tally[name] === maxVotes);
+  return { maxVotes, candidates: maxVotes > 0 ? candidates : [] };
+};
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+module.exports = { NO_LYNCH_VOTE, DAY_TIE_BREAKS, MAFIA_TIE_BREAKS, tallyVotes, topCandidates, pickRandom };
@@ -0,0 +1,20 @@
+const { winConditionsInPlay } = require('./roles');
+
+// Each role declares its own win condition in the role registry. Extra rules (e.g. a custom
+// game mode) use the same signature: (game, { eliminated, cause }) => { winner, reason } | null
+const extraRules = [];
+
+const registerWinRule = (rule) => {
+  extraRules.push(rule);
+};
+
+// Extra rules run before the roles' own conditions so they can pre-empt them
+const evaluateGameOver = (game, context = {}) => {
+  for (const rule of [...extraRules, ...winConditionsInPlay(game)]) {
+    const result = rule(game, context);
+    if (result) return result;
+  }
+  return null;
+};
+
+module.exports = { evaluateGameOver, registerWinRule };